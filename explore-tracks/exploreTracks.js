@@ -4,34 +4,421 @@
 (async function discover() {
   // #region Global Values
 
+  const extensionVersion = "1.1.0";
+  // The version of the exported data format. Version 1 exports are bare lists of track IDs.
+  const dataVersion = 2;
   let maxTries = 200;
   const maxTriesBumpLimit = 4;
   const retryWaitMS = 300; // 0.3 * 1000
   const namespace = "explore";
   const statusKey = `${namespace}:status`;
-  const exploredKey = `${namespace}:explored`;
+  const profilesKey = `${namespace}:profiles`;
+  // The keys of the active profile's data, which are changed by applyProfileKeys.
+  let exploredKey = `${namespace}:explored`;
+  let criteriaKey = `${namespace}:criteria`;
+  let actionsKey = `${namespace}:actions`;
+  let playlistsKey = `${namespace}:playlists`;
+  let collectionsKey = `${namespace}:collections`;
+  let expiryKey = `${namespace}:expiry`;
+  let contextsKey = `${namespace}:contexts`;
+  let skipProtectionKey = `${namespace}:skipProtection`;
+  let queueFilterKey = `${namespace}:queueFilter`;
+  let matchingKey = `${namespace}:matching`;
+  let recordingsKey = `${namespace}:recordings`;
+  let remoteKey = `${namespace}:remote`;
+  const loggingKey = `${namespace}:logging`;
   const hotkeysNS = `${namespace}:hotkeys`;
   const isMac = /Mac|iPod|iPhone|iPad/.test(navigator.platform);
   const defaultMod = isMac ? "meta" : "ctrl";
-  const readIntervalMS = 100; // 0.1 * 1000
-  const trackProgressThresholdMS = 30 * 1000;
   const editTimeoutAfter = 3 * 1000;
+  // How long to wait for the next key of a sequence while editing a hotkey.
+  const sequenceTimeoutMS = 1000;
+  const maxSequenceLength = 3;
+  const fastForwardLeadMS = 5 * 1000;
+  const fastForwardVolumeRatio = 0.2;
   const trackIDRe = /^[a-zA-Z0-9]{18,26}$/; // Has some length leeway
   const modifiers = ["Control", "Shift", "Alt", "Meta"];
 
+  /**
+   * History of a single explored track.
+   * @typedef {Object} TrackEntry
+   * @property {string} id The Spotify ID of the track.
+   * @property {number} exploredAt When the track was first explored (ms since epoch).
+   * @property {number} [lastExploredAt] When the track was last explored again, after it expired.
+   * @property {number} lastHeardAt When the track was last heard (ms since epoch).
+   * @property {number} listenTimeMS Total time spent listening to the track.
+   * @property {number} skipCount How many times the track was auto-skipped.
+   * @property {number} [skippedMS] Total listening time saved by auto-skipping the track.
+   * @property {string[]} [artistURIs] The URIs of the track's artists, if they're known.
+   * @property {string} [albumURI] The URI of the track's album, if it's known.
+   */
+
+  /**
+   * Enum for the ways a track can be considered explored.
+   * @readonly
+   * @enum {string}
+   */
+  const CriteriaMode = {
+    // After playing for a number of seconds.
+    TIME: "time",
+    // After playing for a percentage of the track's duration.
+    PERCENT: "percent",
+    // After reaching the last number of seconds of the track.
+    END: "end",
+  };
+
+  /**
+   * When a track is considered explored.
+   * @typedef {Object} ExploredCriteria
+   * @property {CriteriaMode} mode The kind of criteria.
+   * @property {number} value Seconds, or a percentage when the mode is PERCENT.
+   */
+
+  /**
+   * Enum for what is done when an explored track starts playing.
+   * @readonly
+   * @enum {string}
+   */
+  const ExploredAction = {
+    SKIP: "skip",
+    REMOVE: "remove",
+    MOVE_TO_END: "move",
+    FAST_FORWARD: "fastForward",
+    NOTIFY: "notify",
+  };
+
+  /**
+   * The actions used for explored tracks.
+   * @typedef {Object} ExploredActions
+   * @property {ExploredAction} normal The action used normally.
+   * @property {ExploredAction} gentle The action used while gentle mode is on.
+   */
+
+  /**
+   * Enum for when explored tracks may play again.
+   * @readonly
+   * @enum {string}
+   */
+  const ExpiryMode = {
+    NEVER: "never",
+    // After a fixed number of days.
+    FIXED: "fixed",
+    // After a random number of days within a range, which differs for every track.
+    RANDOM: "random",
+  };
+
+  /**
+   * When explored tracks expire, letting them play again.
+   * @typedef {Object} ExpirySettings
+   * @property {ExpiryMode} mode The kind of expiry.
+   * @property {number} days Days after which tracks expire, or the least days when random.
+   * @property {number} maxDays The most days after which tracks expire when random.
+   */
+
+  /**
+   * Enum for what to do when too many explored tracks were skipped in a row.
+   * @readonly
+   * @enum {string}
+   */
+  const SkipFallback = {
+    PAUSE: "pause",
+    // Play the explored track which was explored the longest time ago.
+    LEAST_RECENT: "leastRecent",
+    // Start a radio based on the last skipped track.
+    RADIO: "radio",
+  };
+
+  /**
+   * Protection against skipping through a whole queue of explored tracks.
+   * @typedef {Object} SkipProtection
+   * @property {number} count Consecutive auto-skips after which skipping stops. 0 if skipping
+   * never stops.
+   * @property {number} seconds The window the auto-skips have to happen within.
+   * @property {SkipFallback} fallback What to do instead of skipping.
+   */
+
+  /**
+   * Enum for what to do with upcoming explored tracks which the user queued themselves.
+   * @readonly
+   * @enum {string}
+   */
+  const QueuedTrackAction = {
+    KEEP: "keep",
+    // Move them behind the other queued tracks, so that those play first.
+    MOVE_TO_END: "moveToEnd",
+    REMOVE: "remove",
+  };
+
+  /**
+   * Filtering of explored tracks out of the upcoming queue, before they play.
+   * @typedef {Object} QueueFilter
+   * @property {boolean} context Whether to remove the upcoming explored tracks of the context.
+   * @property {QueuedTrackAction} queued What to do with the explored tracks the user queued.
+   */
+
+  /**
+   * Enum for where the explored tracks are synced to, so that other computers share them.
+   * @readonly
+   * @enum {string}
+   */
+  const RemoteTarget = {
+    NONE: "none",
+    // A private playlist on the user's account.
+    PLAYLIST: "playlist",
+  };
+
+  /**
+   * The state of syncing the explored tracks with other computers.
+   * @typedef {Object} RemoteState
+   * @property {RemoteTarget} target Where the explored tracks are synced to.
+   * @property {number} lastSyncedAt When the tracks were last synced, 0 if never.
+   * @property {string[]} unsyncedIDs Tracks explored since the last sync.
+   * @property {Object<string, number>} removed When tracks were unmarked since the last sync.
+   */
+
+  /**
+   * Which details make tracks with different IDs count as the same recording.
+   * @typedef {Object} MatchingSettings
+   * @property {boolean} isrc Whether tracks with the same ISRC match.
+   * @property {boolean} titles Whether tracks with the same normalised title and main artist match.
+   */
+
+  /**
+   * Details identifying the recording of a track, which its other releases share.
+   * @typedef {Object} RecordingInfo
+   * @property {string | null} isrc The ISRC of the track, if it has one.
+   * @property {string} title The normalised title of the track.
+   * @property {string} artist The normalised name of the track's main artist.
+   */
+
+  /**
+   * The artists and albums of a track.
+   * @typedef {Object} TrackCollections
+   * @property {string[]} artistURIs The URIs of the track's artists.
+   * @property {string} albumURI The URI of the track's album.
+   */
+
+  /**
+   * An artist or album which has been added to a list.
+   * @typedef {Object} CollectionItem
+   * @property {string} uri The URI of the artist or album.
+   * @property {string} name The name of the artist or album.
+   */
+
+  /**
+   * Rules for treating whole artists and albums as explored.
+   * @typedef {Object} CollectionRules
+   * @property {number} artistThreshold Explored tracks after which an artist is explored. 0 if
+   * artists are never explored this way.
+   * @property {number} albumThreshold Explored tracks after which an album is explored. 0 if
+   * albums are never explored this way.
+   * @property {CollectionItem[]} explored Artists and albums which were explored manually.
+   * @property {CollectionItem[]} blocked Artists and albums which are always skipped.
+   */
+
+  /**
+   * Enum for where discovery mode is active.
+   * @readonly
+   * @enum {string}
+   */
+  const ContextMode = {
+    ALL: "all",
+    // Only in the included contexts.
+    INCLUDE: "include",
+    // Everywhere except the excluded contexts.
+    EXCLUDE: "exclude",
+  };
+
+  /**
+   * Rules for the playing contexts (playlists, radios, albums...) discovery mode is active in.
+   * @typedef {Object} ContextRules
+   * @property {ContextMode} mode Which of the lists is used.
+   * @property {boolean} radios Whether all radios count as listed.
+   * @property {CollectionItem[]} included Contexts discovery mode is limited to.
+   * @property {CollectionItem[]} excluded Contexts discovery mode is never active in.
+   */
+
+  /**
+   * A named set of explored tracks and settings.
+   * @typedef {Object} Profile
+   * @property {string} id The ID of the profile, used in its storage keys.
+   * @property {string} name The name of the profile, shown to the user.
+   */
+
+  /**
+   * @typedef {Object} ProfileSettings
+   * @property {string} active The ID of the profile in use.
+   * @property {Profile[]} profiles Every profile, in the order they were created.
+   */
+
+  /**
+   * Playlists which the explored tracks are written to.
+   * @typedef {Object} PlaylistSettings
+   * @property {boolean} auto Whether newly explored tracks are added to this month's playlist.
+   * @property {Object<string, string>} uris The URIs of the written playlists, keyed by name.
+   */
+
   // App data (with defaults)
   let isEnabled = true;
-  let exploredTracks = [];
+  // Whether discovery mode was last turned on with its hotkey, whose action is then used.
+  let isEnabledByHotkey = false;
+  // The default profile uses the storage keys from before profiles existed.
+  const defaultProfileID = "default";
+  /** @type {ProfileSettings} */
+  let profileSettings = {
+    active: defaultProfileID,
+    profiles: [{ id: defaultProfileID, name: "Default" }],
+  };
+  // Gentle mode isn't saved, it only lasts until Spotify is restarted.
+  let isGentle = false;
+  /** @type {ExploredActions} */
+  let exploredActions = { normal: ExploredAction.SKIP, gentle: ExploredAction.NOTIFY };
+  /** @type {PlaylistSettings} */
+  let playlistSettings = { auto: false, uris: {} };
+  /** @type {ExpirySettings} */
+  let expirySettings = { mode: ExpiryMode.NEVER, days: 365, maxDays: 730 };
+  /** @type {RemoteState} */
+  let remoteState = { target: RemoteTarget.NONE, lastSyncedAt: 0, unsyncedIDs: [], removed: {} };
+  /** @type {MatchingSettings} */
+  let matchingSettings = { isrc: false, titles: false };
+  /**
+   * The recordings of explored tracks, and of tracks which were checked against them.
+   * @type {Map<string, RecordingInfo>}
+   */
+  let recordings = new Map();
+  // The explored tracks by the keys of their recordings, rebuilt when it's needed again.
+  /** @type {Map<string, string> | null} */
+  let recordingIndex = null;
+  /** @type {SkipProtection} */
+  let skipProtection = { count: 10, seconds: 60, fallback: SkipFallback.PAUSE };
+  /** @type {QueueFilter} */
+  let queueFilter = { context: false, queued: QueuedTrackAction.KEEP };
+  /** @type {ContextRules} */
+  let contextRules = { mode: ContextMode.ALL, radios: false, included: [], excluded: [] };
+  /** @type {CollectionRules} */
+  let collectionRules = { artistThreshold: 0, albumThreshold: 0, explored: [], blocked: [] };
+  /** @type {ExploredCriteria} */
+  let exploredCriteria = { mode: CriteriaMode.TIME, value: 30 };
+  /**
+   * The explored tracks by ID.
+   * @type {Map<string, TrackEntry>}
+   */
+  const exploredTracks = new Map();
+  // The IDs of the explored tracks which changed since they were last written.
+  const changedTrackIDs = new Set();
   const allHotkeys = {
     discovery: {
       combo: `${defaultMod}+d`,
       editButton: null,
       displayElement: null,
-      action: onBarButtonPress,
+      action: onDiscoveryHotkeyPress,
       description: "Toggle discovery mode",
       previousCombo: null,
+      // The action used for explored tracks instead of the one in the settings, if any.
+      /** @type {ExploredAction | null} */
+      actionOverride: null,
+      overrideElement: null,
+    },
+    gentle: {
+      combo: `${defaultMod}+shift+d`,
+      editButton: null,
+      displayElement: null,
+      action: toggleGentleMode,
+      description: "Toggle gentle mode",
+      previousCombo: null,
+      /** @type {ExploredAction | null} */
+      actionOverride: null,
+      overrideElement: null,
+    },
+    browser: {
+      combo: `${defaultMod}+shift+e`,
+      editButton: null,
+      displayElement: null,
+      action: toggleBrowserPanel,
+      description: "Open the explored tracks browser",
+      previousCombo: null,
+    },
+    markAndSkip: {
+      combo: `${defaultMod}+alt+e`,
+      editButton: null,
+      displayElement: null,
+      action: markCurrentAndSkip,
+      description: "Mark the current track as explored and skip it",
+      previousCombo: null,
+    },
+    unmark: {
+      combo: `${defaultMod}+alt+u`,
+      editButton: null,
+      displayElement: null,
+      action: unmarkCurrent,
+      description: "Mark the current track as unexplored",
+      previousCombo: null,
+    },
+    undoSkip: {
+      combo: `${defaultMod}+alt+z`,
+      editButton: null,
+      displayElement: null,
+      action: undoLastHistoryEntry,
+      description: "Undo the last mark or automatic skip",
+      previousCombo: null,
+    },
+    snooze: {
+      combo: `${defaultMod}+alt+s`,
+      editButton: null,
+      displayElement: null,
+      action: toggleSnooze,
+      description: "Snooze discovery mode for 30 minutes",
+      previousCombo: null,
+    },
+    settings: {
+      combo: `${defaultMod}+alt+o`,
+      editButton: null,
+      displayElement: null,
+      action: openSettings,
+      description: "Open the settings",
+      previousCombo: null,
+    },
+    export: {
+      combo: `${defaultMod}+alt+x`,
+      editButton: null,
+      displayElement: null,
+      action: downloadItems,
+      description: "Download the explored tracks",
+      previousCombo: null,
+    },
+    profile: {
+      combo: `${defaultMod}+alt+p`,
+      editButton: null,
+      displayElement: null,
+      action: switchToNextProfile,
+      description: "Switch to the next profile",
+      previousCombo: null,
     },
   };
+  const defaultCombos = Object.fromEntries(
+    Object.entries(allHotkeys).map(([name, { combo }]) => [name, combo])
+  );
+  // The hotkeys which may use their own action for explored tracks.
+  /** @type {Array<"discovery" | "gentle">} */
+  const overridableHotkeys = ["discovery", "gentle"];
+  // Spotify's own main shortcuts, which a hotkey would take over.
+  const spotifyShortcuts = {
+    space: "Play or pause",
+    "shift+right": "Seek forward",
+    "shift+left": "Seek backward",
+    [`${defaultMod}+right`]: "Next track",
+    [`${defaultMod}+left`]: "Previous track",
+    [`${defaultMod}+up`]: "Volume up",
+    [`${defaultMod}+down`]: "Volume down",
+    [`${defaultMod}+s`]: "Shuffle",
+    [`${defaultMod}+r`]: "Repeat",
+    [`${defaultMod}+n`]: "Create playlist",
+    [`${defaultMod}+l`]: "Search",
+    [`${defaultMod}+k`]: "Search",
+    [`${defaultMod}+f`]: "Filter",
+    [`${defaultMod}+a`]: "Select all",
+    [`${defaultMod}+/`]: "Show keyboard shortcuts",
+  };
 
   // #endregion
 
@@ -152,21 +539,72 @@
     DEBUG: "DEBUG",
     INFO: "INFO",
     WARNING: "WARNING",
+    ERROR: "ERROR",
   };
 
+  // From the least to the most severe.
+  const levelOrder = Object.values(Level);
+  const logBufferSize = 500;
+
+  /**
+   * @typedef {Object} LogSettings
+   * @property {Level} level The least severe level which is logged to the console.
+   * @property {boolean} anonymise Whether to hide track IDs in the diagnostics.
+   */
+
+  /**
+   * @typedef {Object} LogEntry
+   * @property {number} time When the entry was logged (ms since epoch).
+   * @property {Level} level
+   * @property {string} message
+   * @property {string} [stack] The stack of the caught exception, for errors.
+   */
+
+  /** @type {LogSettings} */
+  let logSettings = { level: Level.INFO, anonymise: true };
+  // The most recent log entries, oldest first. Debug entries are kept even when they aren't
+  // logged to the console, so that they can be included in the diagnostics.
+  /** @type {LogEntry[]} */
+  const logBuffer = [];
+
+  /**
+   * Check whether a level is at least as severe as another one.
+   * @param {Level} level
+   * @param {Level} minimum
+   * @returns {boolean}
+   */
+  function isAtLeast(level, minimum) {
+    return levelOrder.indexOf(level) >= levelOrder.indexOf(minimum);
+  }
+
   /**
-   * Format and log a message to the console.
+   * Format and log a message to the console, and keep it in the log buffer.
    * Also display it as a notifaction in Spotify if its a warning or an error.
    * @param {Level} level The level of the log.
    * @param {string} message The message to log.
+   * @param {*} [error] The exception which was caught, if any. Its message is added to the log.
    * @returns {void}
-   * @todo Add a report button to the UI for warnings and errors.
    */
-  function log(level, message) {
+  function log(level, message, error = null) {
+    const text = error === null ? message : `${message} (${error?.message})`;
+    if (isAtLeast(level, Level.DEBUG) || isAtLeast(level, logSettings.level)) {
+      logBuffer.push({ time: Date.now(), level, message: text, stack: error?.stack });
+      if (logBuffer.length > logBufferSize) {
+        logBuffer.shift();
+      }
+    }
+
+    if (isAtLeast(level, Level.WARNING)) {
+      Spicetify.showNotification(`track-explorer ${level}: ${text}.`);
+    }
+    if (!isAtLeast(level, logSettings.level)) {
+      return;
+    }
     /* eslint-disable no-console */
-    console.log(`[${level}] ${message}`);
-    if (level === Level.WARNING) {
-      Spicetify.showNotification(`track-explorer ${level}: ${message}.`);
+    if (level === Level.ERROR) {
+      console.error(`[${level}] ${text}`, error ?? "");
+    } else {
+      console.log(`[${level}] ${text}`);
     }
     /* eslint-enable no-console */
   }
@@ -185,12 +623,15 @@
         Spicetify?.React,
         Spicetify?.LocalStorage?.get,
         Spicetify?.LocalStorage?.set,
+        Spicetify?.Player?.addEventListener,
         Spicetify?.Player?.getProgress,
         Spicetify?.Player?.isPlaying,
         Spicetify?.Player?.next,
         Spicetify?.URI?.fromString,
         Spicetify?.showNotification,
         Spicetify?.Playbar?.Button,
+        Spicetify?.ContextMenu?.Item,
+        Spicetify?.GraphQL?.Request,
         Spicetify?.SVGIcons?.search,
         Spicetify?.SVGIcons?.check,
         Spicetify?.Platform?.ClipboardAPI?.paste,
@@ -244,6 +685,72 @@
     );
   }
 
+  /**
+   * Asserts that the provided value is a well-formed track entry.
+   * @param {*} entry The entry to check.
+   * @returns {boolean} Whether or not the entry is valid.
+   */
+  function isValidTrackEntry(entry) {
+    return (
+      entry != null &&
+      typeof entry === "object" &&
+      areValidTrackIDs([entry.id]) &&
+      ["exploredAt", "lastHeardAt", "listenTimeMS", "skipCount"].every(
+        (key) => Number.isFinite(entry[key]) && entry[key] >= 0
+      ) &&
+      (entry.lastExploredAt === undefined ||
+        (Number.isFinite(entry.lastExploredAt) && entry.lastExploredAt >= 0)) &&
+      (entry.skippedMS === undefined ||
+        (Number.isFinite(entry.skippedMS) && entry.skippedMS >= 0)) &&
+      (entry.artistURIs === undefined ||
+        (Array.isArray(entry.artistURIs) &&
+          entry.artistURIs.every((uri) => typeof uri === "string"))) &&
+      (entry.albumURI === undefined || typeof entry.albumURI === "string")
+    );
+  }
+
+  /**
+   * Asserts that the provided track entries are valid, and don't repeat any track.
+   * @param {*} entries The track entries to check.
+   * @returns {boolean} Whether or not the track entries are valid.
+   */
+  function areValidTrackEntries(entries) {
+    return (
+      Array.isArray(entries) &&
+      entries.every(isValidTrackEntry) &&
+      new Set(entries.map((entry) => entry.id)).size === entries.length
+    );
+  }
+
+  /**
+   * Create a fresh track entry.
+   * @param {string} id The ID of the track.
+   * @param {number} [exploredAt=Date.now()] When the track was explored.
+   * @param {TrackCollections | null} [collections=null] The artists and album of the track.
+   * @returns {TrackEntry}
+   */
+  function createTrackEntry(id, exploredAt = Date.now(), collections = null) {
+    return {
+      id,
+      exploredAt,
+      lastHeardAt: exploredAt,
+      listenTimeMS: 0,
+      skipCount: 0,
+      ...(collections ?? {}),
+    };
+  }
+
+  /**
+   * Convert tracks saved in the old format (a bare list of IDs) to track entries.
+   * The real explore dates are unknown, so the time of the migration is used instead.
+   * @param {string[]} trackIDs The legacy list of track IDs.
+   * @returns {TrackEntry[]}
+   */
+  function migrateTrackIDs(trackIDs) {
+    const now = Date.now();
+    return [...new Set(trackIDs)].map((id) => createTrackEntry(id, now));
+  }
+
   // #endregion
 
   await waitUntilReady();
@@ -261,111 +768,395 @@
     syncBarButtonState();
   }
 
+  const exploredListeners = new Set();
+
+  /**
+   * Call a function whenever the explored tracks are modified.
+   * @param {() => void} callback The function to call.
+   * @returns {() => void} A function which stops calling the callback.
+   */
+  function onExploredChange(callback) {
+    exploredListeners.add(callback);
+    return () => exploredListeners.delete(callback);
+  }
+
   /**
-   * Save the current explored tracks into local storage.
-   * This function must be called any time the explored tracks are modified.
+   * Save the changed explored tracks into storage, in a batch with other changes made soon after.
+   * This function must be called any time the explored tracks are modified, after adding their
+   * IDs to changedTrackIDs.
+   * Also notifies the explored tracks listeners.
    * @returns {void}
    */
   function syncExploredData() {
-    Spicetify.LocalStorage.set(exploredKey, JSON.stringify(exploredTracks));
+    scheduleExploredWrite();
+    exploredListeners.forEach((callback) => callback());
   }
 
   /**
-   * Save the current hotkey data into local storage.
-   * Unbinds the previous hotkey combo and binds the new one.
-   * Also updates the display element.
-   * @param {*} name The name of the hotkey.
+   * Save the current explored criteria into local storage.
+   * This function must be called any time the criteria are modified.
+   * Also updates the settings inputs, and reschedules the threshold check for the current track.
+   * @returns {void}
    */
-  function syncHotkeyData(name) {
-    const data = allHotkeys[name];
+  function syncCriteriaData() {
+    Spicetify.LocalStorage.set(criteriaKey, JSON.stringify(exploredCriteria));
+    syncCriteriaInputs();
+    scheduleThresholdCheck();
+  }
 
-    Spicetify.LocalStorage.set(`${hotkeysNS}:${name}`, JSON.stringify(data.combo));
-    data.displayElement.innerHTML = formatKey(data.combo);
+  /**
+   * Save the current explored actions into local storage.
+   * This function must be called any time the actions are modified.
+   * Also updates the settings inputs.
+   * @returns {void}
+   */
+  function syncActionsData() {
+    Spicetify.LocalStorage.set(actionsKey, JSON.stringify(exploredActions));
+    syncActionInputs();
+  }
 
-    if (data.previousCombo != null) {
-      Spicetify.Mousetrap.unbind(data.previousCombo);
-    }
-    Spicetify.Mousetrap.bind(data.combo, data.action);
-    data.previousCombo = data.combo;
+  /**
+   * Save the current playlist settings into local storage.
+   * This function must be called any time the playlist settings are modified.
+   * Also updates the settings inputs.
+   * @returns {void}
+   */
+  function syncPlaylistsData() {
+    Spicetify.LocalStorage.set(playlistsKey, JSON.stringify(playlistSettings));
+    syncPlaylistInputs();
   }
 
   /**
-   * Initialize a local storage key.
-   * @param {string} keyName The name of the key.
-   * @param {*} defaultVal The default value.
-   * @param {function} callback The callback which should save the new value.
-   * @param {boolean} [fix=true] Whether or not to overwrite the value if it is invalid.
+   * Save the current artist and album rules into local storage.
+   * This function must be called any time the rules are modified.
+   * Also updates the settings inputs.
    * @returns {void}
-   * @throws {Error} If the value is invalid and fix is false.
-   * @throws {Error} If the callback fails to accept the default value.
    */
-  function initLocalKey(keyName, defaultVal, callback, fix = true) {
-    const string = Spicetify.LocalStorage.get(keyName);
-    if (!string) {
-      const accepted = callback(defaultVal);
-      if (!accepted) {
-        throw new Error("Callback failed to accept default value.");
-      }
-      log(Level.TRACE, `Set default ${keyName}: ${defaultVal}.`);
-      return;
-    }
+  function syncCollectionsData() {
+    Spicetify.LocalStorage.set(collectionsKey, JSON.stringify(collectionRules));
+    syncCollectionInputs();
+  }
 
-    let accepted = false;
+  /**
+   * Save the current expiry settings into local storage.
+   * This function must be called any time the expiry settings are modified.
+   * Also updates the settings inputs.
+   * @returns {void}
+   */
+  function syncExpiryData() {
+    Spicetify.LocalStorage.set(expiryKey, JSON.stringify(expirySettings));
+    syncExpiryInputs();
+  }
 
-    try {
-      const parsed = JSON.parse(string);
-      accepted = callback(parsed);
-    } catch (e) {
-      // ignore
-    }
+  /**
+   * Save the current matching settings into local storage.
+   * This function must be called any time the settings are modified.
+   * Also updates the settings inputs, and looks up the recordings which are now needed.
+   * @returns {void}
+   */
+  function syncMatchingData() {
+    Spicetify.LocalStorage.set(matchingKey, JSON.stringify(matchingSettings));
+    recordingIndex = null;
+    syncMatchingInputs();
+    resolveExploredRecordings();
+  }
 
-    if (!accepted) {
-      if (fix) {
-        log(Level.WARNING, `Fixed ${keyName} (Previously: ${string}).`);
-        callback(defaultVal);
-      } else {
-        throw new Error(`Invalid ${keyName}.`);
-      }
-    }
+  /**
+   * Save the profiles into local storage.
+   * This function must be called any time the profiles are modified.
+   * Also updates the settings inputs and the playbar button.
+   * @returns {void}
+   */
+  function syncProfilesData() {
+    Spicetify.LocalStorage.set(profilesKey, JSON.stringify(profileSettings));
+    syncProfileInputs();
+    syncBarButtonState();
   }
 
   /**
-   * Retrive all saved data from local storage.
+   * Save the logging settings into local storage.
+   * This function must be called any time the logging settings are modified.
+   * Also updates the settings inputs.
    * @returns {void}
    */
-  function initializeLocalData() {
-    initLocalKey(
-      statusKey,
-      isEnabled,
-      (status) => {
-        const valid = typeof status === "boolean";
-        if (!valid) {
-          return false;
-        }
+  function syncLoggingData() {
+    Spicetify.LocalStorage.set(loggingKey, JSON.stringify(logSettings));
+    syncLoggingInputs();
+  }
 
-        isEnabled = status;
-        syncEnabledData();
-        return true;
+  /**
+   * Save the current sync state into local storage.
+   * This function must be called any time the sync state is modified.
+   * Also updates the settings inputs.
+   * @returns {void}
+   */
+  function syncRemoteData() {
+    Spicetify.LocalStorage.set(remoteKey, JSON.stringify(remoteState));
+    syncRemoteInputs();
+  }
+
+  /**
+   * Save the recordings of the explored tracks into local storage.
+   * This function must be called any time the recordings are modified.
+   * @returns {void}
+   */
+  function syncRecordingsData() {
+    const saved = [...recordings].filter(([id]) => exploredTracks.has(id));
+    Spicetify.LocalStorage.set(recordingsKey, JSON.stringify(Object.fromEntries(saved)));
+    recordingIndex = null;
+  }
+
+  /**
+   * Save the current skip protection settings into local storage.
+   * This function must be called any time the settings are modified.
+   * Also updates the settings inputs.
+   * @returns {void}
+   */
+  function syncSkipProtectionData() {
+    Spicetify.LocalStorage.set(skipProtectionKey, JSON.stringify(skipProtection));
+    syncSkipProtectionInputs();
+  }
+
+  /**
+   * Save the current queue filter settings into local storage.
+   * This function must be called any time the settings are modified.
+   * Also updates the settings inputs, and filters the queue with the new settings.
+   * @returns {void}
+   */
+  function syncQueueFilterData() {
+    Spicetify.LocalStorage.set(queueFilterKey, JSON.stringify(queueFilter));
+    syncQueueFilterInputs();
+    scheduleQueueFilter();
+  }
+
+  /**
+   * Save the current context rules into local storage.
+   * This function must be called any time the rules are modified.
+   * Also updates the settings inputs and the playbar button.
+   * @returns {void}
+   */
+  function syncContextsData() {
+    Spicetify.LocalStorage.set(contextsKey, JSON.stringify(contextRules));
+    syncContextInputs();
+    syncBarButtonState();
+  }
+
+  /**
+   * A setting of each profile, which is exported with it and can be restored from exports.
+   * @typedef {Object} ProfileSetting
+   * @property {string} name The name of the setting in exports, and in its storage key.
+   * @property {() => *} get Gets the value of the active profile.
+   * @property {(value: *) => void} set Changes the value of the active profile, and saves it.
+   * @property {(value: *) => boolean} validate Validates a saved or exported value.
+   */
+
+  /** @type {ProfileSetting[]} */
+  const exportedSettings = [
+    {
+      name: "criteria",
+      get: () => exploredCriteria,
+      set: (criteria) => {
+        exploredCriteria = criteria;
+        syncCriteriaData();
+      },
+      validate: validateCriteria,
+    },
+    {
+      name: "actions",
+      get: () => exploredActions,
+      set: (actions) => {
+        exploredActions = actions;
+        syncActionsData();
+      },
+      validate: validateActions,
+    },
+    {
+      name: "matching",
+      get: () => matchingSettings,
+      set: (settings) => {
+        matchingSettings = settings;
+        syncMatchingData();
+      },
+      validate: validateMatchingSettings,
+    },
+    {
+      name: "collections",
+      get: () => collectionRules,
+      set: (rules) => {
+        collectionRules = rules;
+        syncCollectionsData();
+      },
+      validate: validateCollectionRules,
+    },
+    {
+      name: "expiry",
+      get: () => expirySettings,
+      set: (settings) => {
+        expirySettings = settings;
+        syncExpiryData();
+      },
+      validate: validateExpirySettings,
+    },
+    {
+      name: "contexts",
+      get: () => contextRules,
+      set: (rules) => {
+        contextRules = rules;
+        syncContextsData();
+      },
+      validate: validateContextRules,
+    },
+    {
+      name: "skipProtection",
+      get: () => skipProtection,
+      set: (settings) => {
+        skipProtection = settings;
+        syncSkipProtectionData();
+      },
+      validate: validateSkipProtection,
+    },
+    {
+      name: "queueFilter",
+      get: () => queueFilter,
+      set: (settings) => {
+        queueFilter = settings;
+        syncQueueFilterData();
+      },
+      validate: validateQueueFilter,
+    },
+  ];
+
+  /**
+   * Save the current hotkey data into local storage.
+   * Unbinds the previous hotkey combo and binds the new one.
+   * Also updates the display element.
+   * @param {*} name The name of the hotkey.
+   */
+  function syncHotkeyData(name) {
+    const data = allHotkeys[name];
+
+    Spicetify.LocalStorage.set(`${hotkeysNS}:${name}`, JSON.stringify(data.combo));
+    data.displayElement.innerHTML = formatKey(data.combo);
+
+    if (data.previousCombo != null) {
+      Spicetify.Mousetrap.unbind(data.previousCombo);
+    }
+    Spicetify.Mousetrap.bind(data.combo, data.action);
+    data.previousCombo = data.combo;
+  }
+
+  /**
+   * Save the action override of a hotkey into local storage, and update its select element.
+   * @param {"discovery" | "gentle"} name The name of the hotkey.
+   * @returns {void}
+   */
+  function syncHotkeyActionData(name) {
+    const data = allHotkeys[name];
+
+    Spicetify.LocalStorage.set(`${hotkeysNS}:${name}:action`, JSON.stringify(data.actionOverride));
+    if (data.overrideElement != null) {
+      data.overrideElement.value = data.actionOverride ?? "";
+    }
+  }
+
+  /**
+   * Initialize a local storage key.
+   * @param {string} keyName The name of the key.
+   * @param {*} defaultVal The default value.
+   * @param {function} callback The callback which should save the new value.
+   * @param {boolean} [fix=true] Whether or not to overwrite the value if it is invalid.
+   * @returns {void}
+   * @throws {Error} If the value is invalid and fix is false.
+   * @throws {Error} If the callback fails to accept the default value.
+   */
+  function initLocalKey(keyName, defaultVal, callback, fix = true) {
+    const string = Spicetify.LocalStorage.get(keyName);
+    if (!string) {
+      const accepted = callback(defaultVal);
+      if (!accepted) {
+        throw new Error("Callback failed to accept default value.");
+      }
+      log(Level.TRACE, `Set default ${keyName}: ${JSON.stringify(defaultVal)}.`);
+      return;
+    }
+
+    let accepted = false;
+
+    try {
+      const parsed = JSON.parse(string);
+      accepted = callback(parsed);
+    } catch (e) {
+      // ignore
+    }
+
+    if (!accepted) {
+      if (fix) {
+        log(Level.WARNING, `Fixed ${keyName} (Previously: ${string}).`);
+        callback(defaultVal);
+      } else {
+        throw new Error(`Invalid ${keyName}.`);
+      }
+    }
+  }
+
+  /**
+   * Retrive all saved data from local storage, and the explored tracks from their storage.
+   * @returns {Promise<void>}
+   */
+  async function initializeLocalData() {
+    // Loaded first, so that the rest is logged at the chosen level.
+    initLocalKey(
+      loggingKey,
+      logSettings,
+      (settings) => {
+        const valid =
+          levelOrder.includes(settings?.level) && typeof settings?.anonymise === "boolean";
+        if (!valid) {
+          return false;
+        }
+
+        logSettings = settings;
+        syncLoggingData();
+        return true;
+      },
+      true
+    );
+
+    initLocalKey(
+      statusKey,
+      isEnabled,
+      (status) => {
+        const valid = typeof status === "boolean";
+        if (!valid) {
+          return false;
+        }
+
+        isEnabled = status;
+        syncEnabledData();
+        return true;
       },
       true
     );
 
     initLocalKey(
-      exploredKey,
-      [],
-      (tracks) => {
-        const valid = areValidTrackIDs(tracks);
+      profilesKey,
+      profileSettings,
+      (settings) => {
+        const valid = validateProfileSettings(settings);
         if (!valid) {
           return false;
         }
 
-        exploredTracks = tracks;
-        syncExploredData();
+        profileSettings = settings;
+        syncProfilesData();
         return true;
       },
-      false
+      true
     );
 
+    applyProfileKeys();
+    await initializeProfileData();
+
     Object.entries(allHotkeys).forEach(([name, data]) => {
       initLocalKey(
         `${hotkeysNS}:${name}`,
@@ -383,320 +1174,5560 @@
         true
       );
     });
-  }
-
-  /**
-   * Perform a basic validation of the provided hotkey combo.
-   * @param {*} hotkey The hotkey combo to validate. (eg: "ctrl+shift+plus")
-   * @returns {boolean}
-   */
-  function validateCombo(hotkey) {
-    if (hotkey === "") {
-      return true;
-    }
-
-    if (typeof hotkey !== "string") {
-      return false;
-    }
 
-    const parts = hotkey.split("+");
-    return (
-      parts.length <= modifiers.length + 1 && parts.every((part) => part != null && part !== "")
-    );
-  }
+    overridableHotkeys.forEach((name) => {
+      initLocalKey(
+        `${hotkeysNS}:${name}:action`,
+        null,
+        (action) => {
+          const valid = action === null || Object.values(ExploredAction).includes(action);
+          if (!valid) {
+            return false;
+          }
 
-  /**
-   * Add the provided track ID to the list of explored tracks.
-   * Also, saves it to local storage.
-   * @param {string} id The ID of the track to mark as explored.
-   * @returns {void}
-   */
-  function markTrackAsExplored(id) {
-    log(Level.INFO, `Marking track as explored: ${id}`);
-    exploredTracks.push(id);
-    syncExploredData();
+          allHotkeys[name].actionOverride = action;
+          syncHotkeyActionData(name);
+          return true;
+        },
+        true
+      );
+    });
   }
 
-  // #endregion
-
-  // #region Main Logic
-
   /**
-   * This checks the player state in an interval, and handles states.
-   * It adds the tracks to the list of explored tracks when the progress
-   * threshold is met.
+   * Retrieve the active profile's explored tracks and settings.
+   * Settings which the profile doesn't have yet keep their current values.
    * @returns {Promise<void>}
    */
-  async function handleStates() {
-    let previousPlayerState = null;
-    let totalRoughTrackProgress = 0;
-    let currentRoughTrackProgress = 0;
-    let trackJustSaved = false;
+  async function initializeProfileData() {
+    await initializeExploredData();
 
-    for (;;) {
-      const data = isEnabled ? Spicetify.Player.data : null;
-
-      let state = null;
-      let trackURI = null;
-
-      if (data != null && data.track != null) {
-        trackURI = Spicetify.URI.fromString(data.track.uri);
-      }
-
-      if (trackURI?.type === Spicetify.URI.Type.TRACK) {
-        // A track is playing, ensure if the rest of the data is valid.
-        if (
-          data.timestamp == null ||
-          data.position_as_of_timestamp == null ||
-          data.is_paused == null
-        ) {
-          throw new Error("Spotify returned data that doesn't have expected values.");
-        } else {
-          state = {
-            is_playing: !data.is_paused,
-            position_at_ts: data.position_as_of_timestamp,
-            timestamp: data.timestamp,
-            trackURI,
-          };
+    initLocalKey(
+      playlistsKey,
+      playlistSettings,
+      (settings) => {
+        const valid = validatePlaylistSettings(settings);
+        if (!valid) {
+          return false;
         }
-      }
-      // If a track wasn't playing or the extension was not enabled, the current state would be
-      // null.
-      const sameState = previousPlayerState?.timestamp === state?.timestamp;
-      log(Level.TRACE, `Same state: ${sameState}.`);
-      // if (!sameState) {
-      //   console.log(previousPlayerState);
-      //   console.log(state);
-      // }
-
-      // Can this track potentially be saved?
-      let potentialSave = false;
-
-      if (!trackJustSaved && previousPlayerState?.is_playing) {
-        if (sameState) {
-          // A track is playing, keep computing it's rough progress.
-          // This is to ensure that long running songs are still saved.
-          currentRoughTrackProgress = Date.now() - check(previousPlayerState.timestamp);
-          // This log is extremely verbose, only enable if necessary.
-          // log(
-          //   Level.TRACE,
-          //   `Current rough track progress: ${currentRoughTrackProgress / 1000}s.`,
-          // );
-          potentialSave = true;
-        } else {
-          // Some event has transpired. Perhaps the song has been paused, progressed or changed.
-          // In all of these cases we want to add to the track's total progress.
-          if (state !== null) {
-            // This is the actual play time
-            const accurateProgress = check(state.timestamp) - check(previousPlayerState.timestamp);
-            totalRoughTrackProgress += accurateProgress;
-            log(
-              Level.TRACE,
-              `Added accurate progress: ${accurateProgress / 1000}. Total: ${
-                totalRoughTrackProgress / 1000
-              }.`
-            );
-          } else {
-            // If we don't have it, use the newest computed rough value.
-            log(
-              Level.TRACE,
-              `Added rough progress: ${currentRoughTrackProgress / 1000}. Total: ${
-                totalRoughTrackProgress / 1000
-              }.`
-            );
-            totalRoughTrackProgress += currentRoughTrackProgress;
-          }
 
-          currentRoughTrackProgress = 0;
-          potentialSave = true;
-        }
-      }
+        playlistSettings = settings;
+        syncPlaylistsData();
+        return true;
+      },
+      true
+    );
 
-      if (
-        potentialSave &&
-        currentRoughTrackProgress + totalRoughTrackProgress >= trackProgressThresholdMS
-      ) {
-        log(Level.TRACE, "Threshold met, saving track.");
-        markTrackAsExplored(check(previousPlayerState.trackURI.id));
-        trackJustSaved = true;
-      }
+    initLocalKey(
+      recordingsKey,
+      {},
+      (saved) => {
+        const valid = validateRecordings(saved);
+        if (!valid) {
+          return false;
+        }
 
-      if (!sameState && state?.trackURI.id !== previousPlayerState?.trackURI.id) {
-        log(Level.TRACE, "Track changed. Resetting values.");
-        totalRoughTrackProgress = 0;
-        currentRoughTrackProgress = 0;
-        trackJustSaved = false;
+        recordings = new Map(Object.entries(saved));
+        syncRecordingsData();
+        return true;
+      },
+      true
+    );
 
-        if (exploredTracks.includes(state?.trackURI.id)) {
-          log(Level.TRACE, "New track has been explored, changing tracks.");
-          Spicetify.Player.next();
+    initLocalKey(
+      remoteKey,
+      remoteState,
+      (state) => {
+        const valid = validateRemoteState(state);
+        if (!valid) {
+          return false;
         }
-      }
-
-      previousPlayerState = state;
-      await sleep(readIntervalMS);
-    }
-  }
 
-  // #endregion
+        remoteState = state;
+        syncRemoteData();
+        return true;
+      },
+      true
+    );
 
-  // #region Playbar Button
+    exportedSettings.forEach(({ name, get, set, validate }) => {
+      initLocalKey(
+        getProfileKey(name),
+        get(),
+        (value) => {
+          const valid = validate(value);
+          if (!valid) {
+            return false;
+          }
 
-  const disabledLabel = "Enable discovery mode";
-  const enabledLabel = "Disable discovery mode";
-  const barButton = new Spicetify.Playbar.Button(
-    enabledLabel,
-    "search",
-    onBarButtonPress,
-    false,
-    true,
-    false
-  );
+          set(value);
+          return true;
+        },
+        true
+      );
+    });
+  }
 
   /**
-   * Toggle the enabled state..
-   * @param {Spicetify.Playbar.Button} self
-   * @returns {void}
+   * Validate explored criteria.
+   * @param {*} criteria The criteria to validate.
+   * @returns {boolean}
    */
-  function onBarButtonPress() {
-    isEnabled = !isEnabled;
-    syncEnabledData();
+  function validateCriteria(criteria) {
+    return (
+      criteria != null &&
+      Object.values(CriteriaMode).includes(criteria.mode) &&
+      Number.isFinite(criteria.value) &&
+      criteria.value > 0 &&
+      (criteria.mode !== CriteriaMode.PERCENT || criteria.value <= 100)
+    );
   }
 
   /**
-   * Changes the button label and active status based on isEnabled.
-   * @returns {void}
+   * Validate explored actions.
+   * @param {*} actions The actions to validate.
+   * @returns {boolean}
    */
-  function syncBarButtonState() {
-    barButton.active = isEnabled;
-    barButton.label = isEnabled ? enabledLabel : disabledLabel;
+  function validateActions(actions) {
+    const validActions = Object.values(ExploredAction);
+    return (
+      actions != null &&
+      validActions.includes(actions.normal) &&
+      validActions.includes(actions.gentle)
+    );
   }
 
-  // #endregion
-
-  // #region Options Menu - Common
-
-  const settingsContent = document.createElement("div");
-  const style = document.createElement("style");
-  style.innerHTML = `
-  .main-trackCreditsModal-container {
-    width: auto !important;
-    background-color: var(--spice-player) !important;
+  /**
+   * Validate playlist settings.
+   * @param {*} settings The settings to validate.
+   * @returns {boolean}
+   */
+  function validatePlaylistSettings(settings) {
+    return (
+      settings != null &&
+      typeof settings.auto === "boolean" &&
+      settings.uris != null &&
+      typeof settings.uris === "object" &&
+      Object.values(settings.uris).every((uri) => typeof uri === "string")
+    );
   }
 
-  .setting-row::after {
-    content: "";
-    display: table;
-    clear: both;
+  /**
+   * Validate artist and album rules.
+   * @param {*} rules The rules to validate.
+   * @returns {boolean}
+   */
+  function validateCollectionRules(rules) {
+    return (
+      rules != null &&
+      [rules.artistThreshold, rules.albumThreshold].every(
+        (threshold) => Number.isInteger(threshold) && threshold >= 0
+      ) &&
+      isValidCollectionList(rules.explored) &&
+      isValidCollectionList(rules.blocked)
+    );
   }
-  .setting-row {
-    display: flex;
-    padding: 10px 0;
-    align-items: center;
-    justify-content: space-between;
+
+  /**
+   * Validate a sync state.
+   * @param {*} state The state to validate.
+   * @returns {boolean}
+   */
+  function validateRemoteState(state) {
+    return (
+      state != null &&
+      Object.values(RemoteTarget).includes(state.target) &&
+      Number.isInteger(state.lastSyncedAt) &&
+      areValidTrackIDs(state.unsyncedIDs) &&
+      state.removed != null &&
+      areValidTrackIDs(Object.keys(state.removed)) &&
+      Object.values(state.removed).every(Number.isInteger)
+    );
   }
-  .setting-row .col.description {
-    float: left;
-    padding-right: 15px;
-    width: 100%;
+
+  /**
+   * Validate saved or exported recordings, by track ID.
+   * @param {*} saved The recordings to validate.
+   * @returns {boolean}
+   */
+  function validateRecordings(saved) {
+    return (
+      saved != null &&
+      typeof saved === "object" &&
+      !Array.isArray(saved) &&
+      areValidTrackIDs(Object.keys(saved)) &&
+      Object.values(saved).every(
+        (info) =>
+          (info?.isrc === null || typeof info?.isrc === "string") &&
+          typeof info.title === "string" &&
+          typeof info.artist === "string"
+      )
+    );
   }
-  .setting-row .col.action {
-    float: right;
-    text-align: right;
+
+  /**
+   * Validate matching settings.
+   * @param {*} settings The settings to validate.
+   * @returns {boolean}
+   */
+  function validateMatchingSettings(settings) {
+    return typeof settings?.isrc === "boolean" && typeof settings?.titles === "boolean";
   }
-  .hotkey-row .col.description {
-    width: 50%;
+
+  /**
+   * Validate skip protection settings.
+   * @param {*} settings The settings to validate.
+   * @returns {boolean}
+   */
+  function validateSkipProtection(settings) {
+    return (
+      settings != null &&
+      Number.isInteger(settings.count) &&
+      Number.isInteger(settings.seconds) &&
+      settings.count >= 0 &&
+      settings.seconds > 0 &&
+      Object.values(SkipFallback).includes(settings.fallback)
+    );
   }
-  .hotkey-row .col.action {
-    width: 50%;
-    white-space: nowrap;
+
+  /**
+   * Validate queue filter settings.
+   * @param {*} settings The settings to validate.
+   * @returns {boolean}
+   */
+  function validateQueueFilter(settings) {
+    return (
+      settings != null &&
+      typeof settings.context === "boolean" &&
+      Object.values(QueuedTrackAction).includes(settings.queued)
+    );
   }
-  .hotkey-row .col.key {
-    width: auto;
-    white-space: nowrap;
+
+  /**
+   * Validate context rules.
+   * @param {*} rules The rules to validate.
+   * @returns {boolean}
+   */
+  function validateContextRules(rules) {
+    return (
+      rules != null &&
+      Object.values(ContextMode).includes(rules.mode) &&
+      typeof rules.radios === "boolean" &&
+      isValidCollectionList(rules.included) &&
+      isValidCollectionList(rules.excluded)
+    );
   }
-  .hotkey-row .col.action button {
-    margin-left: 8px;
+
+  /**
+   * Validate a list of artists, albums or contexts.
+   * @param {*} items The list to validate.
+   * @returns {boolean}
+   */
+  function isValidCollectionList(items) {
+    return (
+      Array.isArray(items) &&
+      items.every((item) => typeof item?.uri === "string" && typeof item?.name === "string")
+    );
   }
-  button.switch {
-    align-items: center;
-    border: 0px;
-    border-radius: 50%;
-    background-color: rgba(var(--spice-rgb-shadow), .7);
-    color: var(--spice-text);
-    cursor: pointer;
-    display: flex;
-    margin-inline-start: 12px;
-    padding: 8px;
+
+  /**
+   * Validate expiry settings.
+   * @param {*} settings The settings to validate.
+   * @returns {boolean}
+   */
+  function validateExpirySettings(settings) {
+    return (
+      settings != null &&
+      Object.values(ExpiryMode).includes(settings.mode) &&
+      Number.isInteger(settings.days) &&
+      Number.isInteger(settings.maxDays) &&
+      settings.days > 0 &&
+      settings.maxDays >= settings.days
+    );
   }
-  button.switch.disabled,
-  button.switch[disabled] {
-    color: rgba(var(--spice-rgb-text), .3);
+
+  /**
+   * Perform a basic validation of the provided hotkey combo, or sequence of combos.
+   * @param {*} hotkey The hotkey combo to validate. (eg: "ctrl+shift+plus" or "g e")
+   * @returns {boolean}
+   */
+  function validateCombo(hotkey) {
+    if (hotkey === "") {
+      return true;
+    }
+
+    if (typeof hotkey !== "string") {
+      return false;
+    }
+
+    const combos = hotkey.split(" ");
+    return (
+      combos.length <= maxSequenceLength &&
+      combos.every((combo) => {
+        const parts = combo.split("+");
+        return (
+          parts.length <= modifiers.length + 1 && parts.every((part) => part != null && part !== "")
+        );
+      })
+    );
   }
-  button.reset {
-    font-weight: 700;
-    font-size: medium;
-    background-color: transparent;
-    border-radius: 500px;
-    transition-duration: 33ms;
-    transition-property: background-color, border-color, color, box-shadow, filter, transform;
-    padding-inline: 15px;
-    border: 1px solid #727272;
-    color: var(--spice-text);
-    min-block-size: 32px;
-    cursor: pointer;
+
+  /**
+   * Find the entry of an explored track.
+   * @param {string} id The ID of the track.
+   * @returns {TrackEntry | undefined} The entry, if the track has been explored.
+   */
+  function findTrackEntry(id) {
+    return exploredTracks.get(id);
   }
-  button.reset:hover {
-    transform: scale(1.04);
-    border-color: var(--spice-text);
+
+  /**
+   * Get a number between 0 and 1 from a string, which is always the same for the same string.
+   * @param {string} string
+   * @returns {number}
+   */
+  function hashToFraction(string) {
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < string.length; i += 1) {
+      hash = Math.imul(hash ^ string.charCodeAt(i), 0x01000193); // eslint-disable-line no-bitwise
+    }
+    return (hash >>> 0) / 2 ** 32; // eslint-disable-line no-bitwise
   }
-  kbd {
-    color: var(--spice-text);
-    font-weight: 700;
-    font-size: large;
-    background-color: transparent;
-    border-radius: 3px;
-    border: 1px solid #727272;
-    display: inline-block;
-    padding: 2px 6px;
-  }`;
-  settingsContent.appendChild(style);
 
   /**
-   * Creates a setting row with a button.
-   * @param {string} text - The text to display on the button.
-   * @param {string} description - The description to display in the row.
-   * @param {*} callback - The callback to call when the button is pressed.
-   * @returns {HTMLDivElement} The created row.
+   * Check whether an explored track has expired, and may play again.
+   * @param {TrackEntry} entry The explored track.
+   * @returns {boolean}
    */
-  function createButtonRow(text, description, callback) {
-    const container = document.createElement("div");
-    container.classList.add("setting-row");
+  function isTrackExpired(entry) {
+    const { mode, days, maxDays } = expirySettings;
+    if (mode === ExpiryMode.NEVER) {
+      return false;
+    }
 
-    container.innerHTML = `
-    <label class="col description">${description}</label>
-    <div class="col action"><button class="reset">${text}</button></div>
-    `;
+    const lastExploredAt = entry.lastExploredAt ?? entry.exploredAt;
+    let expiryDays = days;
+    if (mode === ExpiryMode.RANDOM) {
+      // Every track (and every time it's explored) resurfaces at a different, but stable, time.
+      expiryDays += hashToFraction(`${entry.id}:${lastExploredAt}`) * (maxDays - days);
+    }
+    return Date.now() - lastExploredAt >= expiryDays * 24 * 60 * 60 * 1000;
+  }
 
-    const button = check(container.querySelector("button.reset"));
-    button.onclick = callback;
-    return container;
+  /**
+   * Add the provided track ID to the list of explored tracks.
+   * If the track had expired, it is explored again.
+   * Also, saves it to local storage.
+   * @param {string} id The ID of the track to mark as explored.
+   * @param {boolean} [sync=true] Whether or not to save the change right away.
+   * @param {TrackCollections | null} [collections=null] The artists and album of the track.
+   * @returns {boolean} Whether or not the track was added, rather than already explored.
+   */
+  function markTrackAsExplored(id, sync = true, collections = null) {
+    const existing = findTrackEntry(id);
+    if (existing !== undefined) {
+      if (isTrackExpired(existing)) {
+        log(Level.INFO, `Exploring expired track again: ${id}`);
+        existing.lastExploredAt = Date.now();
+        changedTrackIDs.add(id);
+        if (sync) {
+          syncExploredData();
+        }
+      }
+      return false;
+    }
+
+    log(Level.INFO, `Marking track as explored: ${id}`);
+    exploredTracks.set(id, createTrackEntry(id, Date.now(), collections));
+    changedTrackIDs.add(id);
+    recordRemoteChange(id, true);
+    if (sync) {
+      syncExploredData();
+    }
+    return true;
+  }
+
+  /**
+   * Remove the provided track ID from the list of explored tracks.
+   * Also, saves it to local storage.
+   * @param {string} id The ID of the track to mark as unexplored.
+   * @param {boolean} [sync=true] Whether or not to save the change right away.
+   * @returns {void}
+   */
+  function unmarkTrackAsExplored(id, sync = true) {
+    if (!exploredTracks.has(id)) {
+      return;
+    }
+
+    log(Level.INFO, `Marking track as unexplored: ${id}`);
+    exploredTracks.delete(id);
+    changedTrackIDs.add(id);
+    recordRemoteChange(id, false);
+    if (sync) {
+      syncExploredData();
+    }
+  }
+
+  /**
+   * Mark many tracks as explored, saving them to local storage only once.
+   * @param {string[]} ids The IDs of the tracks to mark as explored.
+   * @returns {void}
+   */
+  function markTracksAsExplored(ids) {
+    ids.forEach((id) => markTrackAsExplored(id, false));
+    syncExploredData();
+  }
+
+  /**
+   * Mark many tracks as unexplored, saving them to local storage only once.
+   * @param {string[]} ids The IDs of the tracks to mark as unexplored.
+   * @returns {void}
+   */
+  function unmarkTracksAsExplored(ids) {
+    ids.forEach((id) => unmarkTrackAsExplored(id, false));
+    syncExploredData();
+  }
+
+  /**
+   * Add listening time to an explored track, and update when it was last heard.
+   * Does nothing if the track hasn't been explored.
+   * @param {string} id The ID of the track.
+   * @param {number} listenTimeMS The time spent listening to the track.
+   * @returns {void}
+   */
+  function recordTrackListen(id, listenTimeMS) {
+    const entry = findTrackEntry(id);
+    if (entry === undefined || listenTimeMS <= 0) {
+      return;
+    }
+
+    entry.listenTimeMS += listenTimeMS;
+    entry.lastHeardAt = Date.now();
+    changedTrackIDs.add(id);
+    syncExploredData();
+  }
+
+  /**
+   * Note that an explored track was skipped automatically.
+   * Does nothing if the track itself hasn't been explored.
+   * @param {string} id The ID of the track.
+   * @param {number} skippedMS The listening time saved by skipping the track.
+   * @returns {void}
+   */
+  function recordTrackSkip(id, skippedMS) {
+    const entry = findTrackEntry(id);
+    if (entry === undefined) {
+      return;
+    }
+
+    entry.skipCount += 1;
+    entry.skippedMS = (entry.skippedMS ?? 0) + Math.max(skippedMS, 0);
+    entry.lastHeardAt = Date.now();
+    changedTrackIDs.add(id);
+    syncExploredData();
+  }
+
+  /**
+   * Merge track entries into the explored tracks.
+   * Entries for tracks which are already present are combined with the existing ones.
+   * @param {TrackEntry[]} entries The entries to merge.
+   * @returns {void}
+   */
+  function mergeTrackEntries(entries) {
+    entries.forEach((entry) => {
+      changedTrackIDs.add(entry.id);
+      const existing = findTrackEntry(entry.id);
+      if (existing === undefined) {
+        exploredTracks.set(entry.id, { ...entry });
+        recordRemoteChange(entry.id, true);
+        return;
+      }
+
+      combineTrackEntries(existing, entry);
+    });
+    syncExploredData();
+  }
+
+  /**
+   * Combine another entry of a track into an existing one, keeping the widest history.
+   * @param {TrackEntry} existing The entry to update.
+   * @param {TrackEntry} entry The other entry of the same track.
+   * @returns {void}
+   */
+  function combineTrackEntries(existing, entry) {
+    /* eslint-disable no-param-reassign */
+    existing.exploredAt = Math.min(existing.exploredAt, entry.exploredAt);
+    existing.lastHeardAt = Math.max(existing.lastHeardAt, entry.lastHeardAt);
+    existing.listenTimeMS = Math.max(existing.listenTimeMS, entry.listenTimeMS);
+    existing.skipCount = Math.max(existing.skipCount, entry.skipCount);
+    if (entry.skippedMS !== undefined) {
+      existing.skippedMS = Math.max(existing.skippedMS ?? 0, entry.skippedMS);
+    }
+    existing.artistURIs = existing.artistURIs ?? entry.artistURIs;
+    existing.albumURI = existing.albumURI ?? entry.albumURI;
+    if (entry.lastExploredAt !== undefined) {
+      existing.lastExploredAt = Math.max(existing.lastExploredAt ?? 0, entry.lastExploredAt);
+    }
+    /* eslint-enable no-param-reassign */
+  }
+
+  /**
+   * Remove every explored track.
+   * @returns {void}
+   */
+  function clearExploredTracks() {
+    exploredTracks.forEach((_, id) => changedTrackIDs.add(id));
+    exploredTracks.clear();
+    syncExploredData();
   }
 
   // #endregion
 
-  // #region Options Menu - Data
+  // #region Explored Storage
 
-  const header = document.createElement("h2");
-  header.innerText = "Data";
-  settingsContent.appendChild(header);
+  const databaseName = "spicetify-explore";
+  const databaseVersion = 1;
+  const exploredStoreName = "explored";
+  const exploredWriteDelayMS = 1000;
+
+  /**
+   * Where the explored tracks are saved.
+   * @typedef {Object} ExploredStorage
+   * @property {string} name The name of the storage, used in logs.
+   * @property {(changed: TrackEntry[], removedIDs: string[]) => Promise<void>} write Saves
+   * changed entries, and removes the entries of tracks which aren't explored anymore.
+   * @property {() => void} close Releases the storage, when another profile is used.
+   */
+
+  /** @type {ExploredStorage | null} */
+  let exploredStorage = null;
+  let exploredWriteTimeout = null;
+
+  /**
+   * Wait for an IndexedDB request to finish.
+   * @param {IDBRequest} request The request.
+   * @returns {Promise<*>} The result of the request.
+   */
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result); // eslint-disable-line no-param-reassign
+      request.onerror = () => reject(request.error); // eslint-disable-line no-param-reassign
+    });
+  }
+
+  /**
+   * Get the name of the database the explored tracks of a profile are saved in.
+   * @param {string} profileID The ID of the profile.
+   * @returns {string}
+   */
+  function getDatabaseName(profileID) {
+    return profileID === defaultProfileID ? databaseName : `${databaseName}:${profileID}`;
+  }
+
+  /**
+   * Open the database the explored tracks of a profile are saved in, creating it if needed.
+   * @param {string} [profileID] The ID of the profile, the active one by default.
+   * @returns {Promise<IDBDatabase>}
+   */
+  async function openDatabase(profileID = profileSettings.active) {
+    const request = indexedDB.open(getDatabaseName(profileID), databaseVersion);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(exploredStoreName, { keyPath: "id" });
+    };
+    return requestToPromise(request);
+  }
+
+  /**
+   * Create a storage which saves every explored track as its own IndexedDB record.
+   * @param {IDBDatabase} database The opened database.
+   * @returns {ExploredStorage}
+   */
+  function createIndexedDBStorage(database) {
+    return {
+      name: "IndexedDB",
+      write: (changed, removedIDs) =>
+        new Promise((resolve, reject) => {
+          const transaction = database.transaction(exploredStoreName, "readwrite");
+          const store = transaction.objectStore(exploredStoreName);
+          changed.forEach((entry) => store.put(entry));
+          removedIDs.forEach((id) => store.delete(id));
+          transaction.oncomplete = () => resolve();
+          // Quota errors abort the transaction.
+          transaction.onabort = () => reject(transaction.error);
+        }),
+      close: () => database.close(),
+    };
+  }
+
+  /**
+   * A storage which saves all explored tracks under a single LocalStorage key.
+   * Used when IndexedDB isn't available.
+   * @type {ExploredStorage}
+   */
+  const localExploredStorage = {
+    name: "LocalStorage",
+    write: async () => {
+      // Spicetify.LocalStorage.set ignores errors, which would hide a full storage.
+      localStorage.setItem(exploredKey, JSON.stringify([...exploredTracks.values()]));
+    },
+    close: () => {},
+  };
+
+  /**
+   * Read the explored tracks saved in LocalStorage, migrating bare lists of IDs.
+   * @param {string} [key] The key they're saved under, the active profile's by default.
+   * @returns {TrackEntry[] | null} null if no tracks are saved there.
+   * @throws {Error} If the saved value is invalid.
+   */
+  function readLocalExploredTracks(key = exploredKey) {
+    const string = Spicetify.LocalStorage.get(key);
+    if (!string) {
+      return null;
+    }
+
+    let tracks = null;
+    try {
+      tracks = JSON.parse(string);
+    } catch (e) {
+      // Reported below.
+    }
+
+    if (areValidTrackIDs(tracks)) {
+      if (tracks.length > 0) {
+        log(Level.INFO, `Migrating ${tracks.length} explored track(s) to the new format.`);
+      }
+      return migrateTrackIDs(tracks);
+    }
+    if (areValidTrackEntries(tracks)) {
+      return tracks;
+    }
+    throw new Error(`Invalid ${key}.`);
+  }
+
+  /**
+   * Load the explored tracks from IndexedDB, or from LocalStorage if it isn't available.
+   * Tracks left in LocalStorage by older versions are moved into IndexedDB once.
+   * @returns {Promise<void>}
+   * @throws {Error} If the tracks saved in LocalStorage are invalid.
+   */
+  async function initializeExploredData() {
+    const localEntries = readLocalExploredTracks();
+
+    let database = null;
+    try {
+      database = await openDatabase();
+    } catch (e) {
+      log(Level.DEBUG, `Couldn't open IndexedDB, using LocalStorage instead (${e?.message}).`);
+    }
+
+    if (database === null) {
+      exploredStorage = localExploredStorage;
+      // Also saves tracks which were migrated to the new format.
+      mergeTrackEntries(localEntries ?? []);
+      return;
+    }
+
+    exploredStorage = createIndexedDBStorage(database);
+    const transaction = database.transaction(exploredStoreName, "readonly");
+    /** @type {TrackEntry[]} */
+    const entries = await requestToPromise(transaction.objectStore(exploredStoreName).getAll());
+    entries.forEach((entry) => exploredTracks.set(entry.id, entry));
+
+    if (localEntries === null) {
+      syncExploredData();
+      return;
+    }
+
+    log(Level.INFO, `Moving ${localEntries.length} explored track(s) into IndexedDB.`);
+    mergeTrackEntries(localEntries);
+    // The tracks are only removed from LocalStorage once they are safely in IndexedDB.
+    if (await flushExploredWrites()) {
+      Spicetify.LocalStorage.remove(exploredKey);
+    }
+  }
+
+  /**
+   * Write the changed explored tracks after a short delay, so that changes are batched.
+   * @returns {void}
+   */
+  function scheduleExploredWrite() {
+    if (exploredWriteTimeout === null) {
+      exploredWriteTimeout = setTimeout(flushExploredWrites, exploredWriteDelayMS);
+    }
+  }
+
+  /**
+   * Write the changed explored tracks to storage right away.
+   * Changes which couldn't be written are kept, and written with the next changes.
+   * @returns {Promise<boolean>} Whether or not the changes were written.
+   */
+  async function flushExploredWrites() {
+    clearTimeout(exploredWriteTimeout);
+    exploredWriteTimeout = null;
+    if (exploredStorage === null) {
+      return false;
+    }
+    if (changedTrackIDs.size === 0) {
+      return true;
+    }
+
+    const ids = [...changedTrackIDs];
+    changedTrackIDs.clear();
+    const changed = [];
+    const removedIDs = [];
+    ids.forEach((id) => {
+      const entry = exploredTracks.get(id);
+      if (entry === undefined) {
+        removedIDs.push(id);
+      } else {
+        changed.push({ ...entry });
+      }
+    });
+
+    if (remoteState.target !== RemoteTarget.NONE) {
+      syncRemoteData();
+    }
+
+    try {
+      await exploredStorage.write(changed, removedIDs);
+      return true;
+    } catch (e) {
+      ids.forEach((id) => changedTrackIDs.add(id));
+      if (e?.name === "QuotaExceededError") {
+        log(
+          Level.WARNING,
+          `Couldn't save the explored tracks, ${exploredStorage.name} is full. ` +
+            "Export them, or free some space."
+        );
+      } else {
+        log(Level.ERROR, "Couldn't save the explored tracks", e);
+      }
+      return false;
+    }
+  }
+
+  // #endregion
+
+  // #region Track Resolution
+
+  const albumPageLimit = 300;
+  const playlistPageLimit = 500;
+  const webAPIPageLimit = 50;
+  const likedTracksURL = "https://api.spotify.com/v1/me/tracks";
+  const recentTracksURL = "https://api.spotify.com/v1/me/player/recently-played";
+
+  /**
+   * Reports how many tracks have been fetched so far.
+   * @callback ProgressCallback
+   * @param {number} fetched The number of tracks fetched so far.
+   * @param {number | null} total The total number of tracks, if it's known.
+   * @returns {void}
+   */
+
+  /**
+   * Get the IDs of all tracks on an album.
+   * @param {string} uri The URI of the album.
+   * @param {ProgressCallback} [onProgress]
+   * @returns {Promise<string[]>}
+   */
+  async function getAlbumTrackIDs(uri, onProgress = () => {}) {
+    const ids = [];
+    let offset = 0;
+    for (;;) {
+      const response = await Spicetify.GraphQL.Request(
+        Spicetify.GraphQL.Definitions.queryAlbumTrackUris,
+        { uri, offset, limit: albumPageLimit }
+      );
+      const { items, totalCount } = check(response?.data?.albumUnion?.tracks);
+      items.forEach((item) => ids.push(Spicetify.URI.fromString(item.track.uri).id));
+      onProgress(ids.length, totalCount);
+
+      offset += items.length;
+      if (items.length === 0 || offset >= totalCount) {
+        return ids;
+      }
+    }
+  }
+
+  /**
+   * Get the IDs of an artist's top tracks.
+   * @param {string} uri The URI of the artist.
+   * @returns {Promise<string[]>}
+   */
+  async function getArtistTopTrackIDs(uri) {
+    const response = await Spicetify.GraphQL.Request(
+      Spicetify.GraphQL.Definitions.queryArtistOverview,
+      { uri, locale: Spicetify.Locale.getLocale(), includePrerelease: false }
+    );
+    const { items } = check(response?.data?.artistUnion?.discography?.topTracks);
+    return items.map((item) => Spicetify.URI.fromString(item.track.uri).id);
+  }
+
+  /**
+   * Get the IDs of all tracks in a playlist.
+   * Episodes and local files are left out.
+   * @param {string} uri The URI of the playlist.
+   * @param {ProgressCallback} [onProgress]
+   * @returns {Promise<string[]>}
+   */
+  async function getPlaylistTrackIDs(uri, onProgress = () => {}) {
+    const ids = [];
+    let offset = 0;
+    for (;;) {
+      const { items, totalLength } = await Spicetify.Platform.PlaylistAPI.getContents(uri, {
+        offset,
+        limit: playlistPageLimit,
+      });
+      items
+        .map((item) => Spicetify.URI.fromString(item.uri))
+        .filter((itemURI) => itemURI.type === Spicetify.URI.Type.TRACK)
+        .forEach((itemURI) => ids.push(itemURI.id));
+
+      offset += items.length;
+      onProgress(offset, totalLength);
+      if (items.length === 0 || offset >= totalLength) {
+        return ids;
+      }
+    }
+  }
+
+  /**
+   * Get the IDs of all tracks from a paginated endpoint of the Web API.
+   * @param {string} url The URL of the first page.
+   * @param {ProgressCallback} onProgress
+   * @returns {Promise<string[]>}
+   */
+  async function getWebAPITrackIDs(url, onProgress) {
+    const ids = [];
+    let pageURL = `${url}?limit=${webAPIPageLimit}`;
+    while (pageURL != null) {
+      const page = await Spicetify.CosmosAsync.get(pageURL);
+      check(page?.items).forEach((item) => {
+        // Local files don't have an ID.
+        if (item.track?.id != null) {
+          ids.push(item.track.id);
+        }
+      });
+      onProgress(ids.length, page.total ?? null);
+      pageURL = page.next;
+    }
+    return ids;
+  }
+
+  /**
+   * Get the IDs of all tracks in the user's Liked Songs.
+   * @param {ProgressCallback} [onProgress]
+   * @returns {Promise<string[]>}
+   */
+  async function getLikedTrackIDs(onProgress = () => {}) {
+    return getWebAPITrackIDs(likedTracksURL, onProgress);
+  }
+
+  /**
+   * Get the IDs of the tracks the user has played recently.
+   * @param {ProgressCallback} [onProgress]
+   * @returns {Promise<string[]>}
+   */
+  async function getRecentTrackIDs(onProgress = () => {}) {
+    return getWebAPITrackIDs(recentTracksURL, onProgress);
+  }
+
+  const metadataBatchSize = 50;
+
+  /**
+   * Details of a track, used for displaying it.
+   * @typedef {Object} TrackMetadata
+   * @property {string} name The name of the track.
+   * @property {{ name: string, uri: string }[]} artists The artists of the track.
+   * @property {string} albumName The name of the track's album.
+   * @property {string} albumURI The URI of the track's album.
+   * @property {string | null} imageURL The smallest cover art of the album.
+   */
+
+  /** @type {Map<string, TrackMetadata>} */
+  const trackMetadata = new Map();
+
+  /**
+   * Convert a track returned by GraphQL to track metadata.
+   * @param {*} track The track from GraphQL.
+   * @returns {TrackMetadata}
+   */
+  function parseTrackMetadata(track) {
+    const sources = track.albumOfTrack?.coverArt?.sources ?? [];
+    const smallest = [...sources].sort((a, b) => a.width - b.width)[0];
+    return {
+      name: track.name,
+      artists: (track.artists?.items ?? []).map((artist) => ({
+        name: artist.profile.name,
+        uri: artist.uri,
+      })),
+      albumName: track.albumOfTrack?.name ?? "",
+      albumURI: track.albumOfTrack?.uri ?? "",
+      imageURL: smallest?.url ?? null,
+    };
+  }
+
+  /**
+   * Fetch the metadata of tracks in batches, and cache it.
+   * Tracks which have already been fetched are not fetched again.
+   * @param {string[]} ids The IDs of the tracks.
+   * @param {() => boolean} [onBatch] Called after every batch. Fetching stops if it returns false.
+   * @returns {Promise<void>}
+   */
+  async function fetchTrackMetadata(ids, onBatch = () => true) {
+    const missing = [...new Set(ids)].filter((id) => !trackMetadata.has(id));
+
+    for (let i = 0; i < missing.length; i += metadataBatchSize) {
+      const batch = missing.slice(i, i + metadataBatchSize);
+      const response = await Spicetify.GraphQL.Request(
+        Spicetify.GraphQL.Definitions.decorateContextTracks,
+        { uris: batch.map((id) => `spotify:track:${id}`) }
+      );
+      const tracks = check(response?.data?.tracks);
+      batch.forEach((id, index) => {
+        // Unavailable tracks don't have a name.
+        if (tracks[index]?.name != null) {
+          trackMetadata.set(id, parseTrackMetadata(tracks[index]));
+        }
+      });
+
+      if (!onBatch()) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Get the IDs of all tracks contained in a URI.
+   * Supports tracks, albums, artists (their top tracks), playlists and Liked Songs.
+   * @param {string} uri The URI to resolve.
+   * @param {ProgressCallback} [onProgress]
+   * @returns {Promise<string[]>}
+   * @throws {Error} If the URI is of an unsupported type.
+   */
+  async function getTrackIDsOf(uri, onProgress = () => {}) {
+    const { type, id } = Spicetify.URI.fromString(uri);
+    switch (type) {
+      case Spicetify.URI.Type.TRACK:
+        return [id];
+      case Spicetify.URI.Type.ALBUM:
+        return getAlbumTrackIDs(uri, onProgress);
+      case Spicetify.URI.Type.ARTIST:
+        return getArtistTopTrackIDs(uri);
+      case Spicetify.URI.Type.PLAYLIST:
+      case Spicetify.URI.Type.PLAYLIST_V2:
+        return getPlaylistTrackIDs(uri, onProgress);
+      case Spicetify.URI.Type.COLLECTION:
+        return getLikedTrackIDs(onProgress);
+      default:
+        throw new Error(`Can't get the tracks of a URI of type ${type}.`);
+    }
+  }
+
+  /**
+   * Get the IDs of all tracks contained in the provided URIs.
+   * @param {string[]} uris The URIs to resolve.
+   * @returns {Promise<string[]>} The track IDs, without duplicates.
+   * @throws {Error} If one of the URIs is of an unsupported type.
+   */
+  async function getTrackIDs(uris) {
+    const ids = await Promise.all(uris.map((uri) => getTrackIDsOf(uri)));
+    return [...new Set(ids.flat())];
+  }
+
+  let isSeeding = false;
+
+  /**
+   * Fetch tracks from a source, and let the user merge them into the explored tracks.
+   * Progress is shown in notifications while the tracks are fetched.
+   * @param {string} source A description of the source, shown to the user.
+   * @param {(onProgress: ProgressCallback) => Promise<string[]>} fetchIDs Fetches the track IDs.
+   * @returns {Promise<void>}
+   */
+  async function seedExploredTracks(source, fetchIDs) {
+    if (isSeeding) {
+      Spicetify.showNotification("Tracks are already being fetched, please wait.");
+      return;
+    }
+
+    isSeeding = true;
+    Spicetify.showNotification(`Fetching tracks from ${source}...`);
+    try {
+      const ids = await fetchIDs((fetched, total) => {
+        const outOf = total === null ? "" : ` of ${total}`;
+        Spicetify.showNotification(`Fetched ${fetched}${outOf} tracks from ${source}...`);
+      });
+      previewImport({
+        entries: migrateTrackIDs(ids),
+        invalidCount: 0,
+        settings: null,
+        hotkeys: null,
+        recordings: null,
+      });
+    } catch (e) {
+      log(Level.ERROR, `Couldn't fetch tracks from ${source}`, e);
+    } finally {
+      isSeeding = false;
+    }
+  }
+
+  // #endregion
+
+  // #region Explored Playlists
+
+  const playlistsURL = "https://api.spotify.com/v1/me/playlists";
+  const playlistAddLimit = 100;
+  const autoPlaylistIntervalMS = 15 * 60 * 1000;
+  let isWritingPlaylist = false;
+
+  /**
+   * Get the name of the playlist for the tracks explored in a month.
+   * @param {Date} date A day in the month.
+   * @returns {string} (eg: "Explored – October 2026", or "Explored – October 2026 (Gym)" for a
+   * profile other than the default one)
+   */
+  function getMonthlyPlaylistName(date) {
+    const month = date.toLocaleString("en-US", { month: "long", year: "numeric" });
+    return `Explored – ${month}${getProfileSuffix()}`;
+  }
+
+  /**
+   * Get the IDs of the tracks in a playlist written before.
+   * @param {string} name The name of the playlist.
+   * @returns {Promise<string[] | null>} null if the playlist hasn't been written, or was deleted.
+   */
+  async function getWrittenPlaylistTrackIDs(name) {
+    const uri = playlistSettings.uris[name];
+    if (uri === undefined) {
+      return null;
+    }
+
+    try {
+      return await getPlaylistTrackIDs(uri);
+    } catch (e) {
+      log(Level.INFO, `The playlist ${name} couldn't be read, it will be created again.`);
+      return null;
+    }
+  }
+
+  /**
+   * Create a private playlist, and remember it.
+   * @param {string} name The name of the playlist.
+   * @returns {Promise<string>} The URI of the playlist.
+   */
+  async function createWrittenPlaylist(name) {
+    const playlist = await Spicetify.CosmosAsync.post(playlistsURL, {
+      name,
+      public: false,
+      description: "Tracks explored with Track Explorer.",
+    });
+    const uri = check(playlist?.uri);
+
+    playlistSettings = { ...playlistSettings, uris: { ...playlistSettings.uris, [name]: uri } };
+    syncPlaylistsData();
+    return uri;
+  }
+
+  /**
+   * Write explored tracks to a playlist, creating it if needed.
+   * Only the tracks which aren't in the playlist yet are added.
+   * @param {string} name The name of the playlist.
+   * @param {(entry: TrackEntry) => boolean} [filter] Which explored tracks to write.
+   * @returns {Promise<number>} The number of tracks added.
+   */
+  async function writeExploredPlaylist(name, filter = () => true) {
+    const existingIDs = await getWrittenPlaylistTrackIDs(name);
+    const uri =
+      existingIDs === null ? await createWrittenPlaylist(name) : playlistSettings.uris[name];
+    const existing = new Set(existingIDs);
+    const missing = [...exploredTracks.values()].filter(
+      (entry) => filter(entry) && !existing.has(entry.id)
+    );
+
+    const { id } = Spicetify.URI.fromString(uri);
+    for (let i = 0; i < missing.length; i += playlistAddLimit) {
+      const uris = missing
+        .slice(i, i + playlistAddLimit)
+        .map((entry) => `spotify:track:${entry.id}`);
+      await Spicetify.CosmosAsync.post(`https://api.spotify.com/v1/playlists/${id}/tracks`, {
+        uris,
+      });
+    }
+
+    log(Level.INFO, `Added ${missing.length} track(s) to the playlist ${name}.`);
+    return missing.length;
+  }
+
+  /**
+   * Add the tracks explored this month to this month's playlist, if enabled.
+   * @returns {Promise<void>}
+   */
+  async function updateAutoPlaylist() {
+    if (!playlistSettings.auto || isWritingPlaylist) {
+      return;
+    }
+
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    isWritingPlaylist = true;
+    try {
+      await writeExploredPlaylist(
+        getMonthlyPlaylistName(now),
+        (entry) => entry.exploredAt >= monthStart
+      );
+    } catch (e) {
+      log(Level.ERROR, "Couldn't update this month's playlist", e);
+    } finally {
+      isWritingPlaylist = false;
+    }
+  }
+
+  /**
+   * Periodically add newly explored tracks to this month's playlist.
+   * @returns {void}
+   */
+  function scheduleAutoPlaylist() {
+    updateAutoPlaylist();
+    setInterval(updateAutoPlaylist, autoPlaylistIntervalMS);
+  }
+
+  // #endregion
+
+  // #region Remote Sync
+
+  const remotePlaylistName = "Track Explorer Sync";
+  const remotePlaylistDescription =
+    "Explored tracks synced by Track Explorer. Editing it changes them.";
+  // Spotify doesn't keep longer playlist descriptions.
+  const playlistDescriptionLimit = 300;
+  const remotePageLimit = 100;
+  const remoteSyncIntervalMS = 10 * 60 * 1000;
+  let isSyncingRemote = false;
+
+  /**
+   * The synced tracks, and the tracks which were removed from them.
+   * @typedef {Object} RemoteTracks
+   * @property {Map<string, number>} added When each synced track was added, by its ID.
+   * @property {Map<string, number>} removed When tracks were removed, by their ID. Only the
+   * latest removals may be known.
+   */
+
+  /**
+   * Somewhere the explored tracks can be synced to.
+   * More backends can be added to remoteBackends, keyed by their target.
+   * @typedef {Object} RemoteBackend
+   * @property {string} name The name of the backend, used in logs.
+   * @property {() => Promise<RemoteTracks | null>} read Reads the synced tracks. null if there
+   * are none yet, or they were deleted.
+   * @property {(additions: string[], removals: string[], removedAt: Object<string, number>) =>
+   * Promise<void>} write Adds and removes synced tracks, with when the removed tracks were
+   * unmarked.
+   */
+
+  /**
+   * How a sync changes the explored tracks here, and the synced tracks.
+   * @typedef {Object} RemotePlan
+   * @property {TrackEntry[]} localAdditions Tracks explored on other computers.
+   * @property {string[]} localRemovals Tracks unmarked on other computers.
+   * @property {string[]} remoteAdditions Tracks explored here.
+   * @property {string[]} remoteRemovals Tracks unmarked here.
+   */
+
+  /**
+   * Note a change to the explored tracks, which the next sync has to share.
+   * Does nothing if syncing is disabled.
+   * @param {string} id The ID of the track.
+   * @param {boolean} explored Whether the track was marked or unmarked.
+   * @returns {void}
+   */
+  function recordRemoteChange(id, explored) {
+    if (remoteState.target === RemoteTarget.NONE) {
+      return;
+    }
+
+    const unsyncedIDs = remoteState.unsyncedIDs.filter((unsyncedID) => unsyncedID !== id);
+    const removed = { ...remoteState.removed };
+    if (explored) {
+      unsyncedIDs.push(id);
+      delete removed[id];
+    } else {
+      removed[id] = Date.now();
+    }
+    remoteState = { ...remoteState, unsyncedIDs, removed };
+  }
+
+  /**
+   * Work out how to merge the explored tracks here with the synced tracks.
+   * A track which was unmarked here but added on another computer since is kept if it was added
+   * last. A track which is missing from the synced tracks was unmarked on another computer if it
+   * was removed there after it was explored here. When its removal isn't known, it was unmarked
+   * if it was synced before, unless it was explored here again since. If the synced tracks don't
+   * exist, because they were never written or were deleted, every track here is written again.
+   * @param {Map<string, TrackEntry>} local The explored tracks here.
+   * @param {RemoteTracks | null} remote The synced tracks.
+   * @param {RemoteState} state The sync state.
+   * @returns {RemotePlan}
+   */
+  function planRemoteSync(local, remote, state) {
+    /** @type {RemotePlan} */
+    const plan = { localAdditions: [], localRemovals: [], remoteAdditions: [], remoteRemovals: [] };
+    if (remote === null) {
+      plan.remoteAdditions = [...local.keys()];
+      return plan;
+    }
+
+    remote.added.forEach((addedAt, id) => {
+      if (local.has(id)) {
+        return;
+      }
+
+      const removedAt = state.removed[id];
+      if (removedAt !== undefined && removedAt > addedAt) {
+        plan.remoteRemovals.push(id);
+      } else {
+        plan.localAdditions.push(createTrackEntry(id, addedAt));
+      }
+    });
+
+    const unsyncedIDs = new Set(state.unsyncedIDs);
+    local.forEach((entry, id) => {
+      if (remote.added.has(id)) {
+        return;
+      }
+
+      const removedAt = remote.removed.get(id);
+      let wasRemoved = false;
+      if (state.lastSyncedAt !== 0) {
+        wasRemoved = removedAt === undefined ? !unsyncedIDs.has(id) : removedAt > entry.exploredAt;
+      }
+      if (wasRemoved) {
+        plan.localRemovals.push(id);
+      } else {
+        plan.remoteAdditions.push(id);
+      }
+    });
+    return plan;
+  }
+
+  /**
+   * Get the name of the active profile's sync playlist.
+   * @returns {string} (eg: "Track Explorer Sync", or "Track Explorer Sync (Gym)" for a profile
+   * other than the default one)
+   */
+  function getRemotePlaylistName() {
+    return `${remotePlaylistName}${getProfileSuffix()}`;
+  }
+
+  /**
+   * Find the sync playlist in the user's playlists.
+   * @returns {Promise<{ id: string, description: string } | null>} The ID and description of
+   * the playlist, null if there is none.
+   */
+  async function findRemotePlaylist() {
+    let pageURL = `${playlistsURL}?limit=${webAPIPageLimit}`;
+    while (pageURL) {
+      const page = await Spicetify.CosmosAsync.get(pageURL);
+      const playlist = page.items?.find((item) => item?.name === getRemotePlaylistName());
+      if (playlist !== undefined) {
+        return { id: check(playlist.id), description: playlist.description ?? "" };
+      }
+      pageURL = page.next;
+    }
+    return null;
+  }
+
+  /**
+   * Read when tracks were removed from the sync playlist, from its description.
+   * @param {string} description The description of the playlist.
+   * @returns {Map<string, number>} When each track was removed (ms since epoch), by its ID.
+   */
+  function parseRemovalTimes(description) {
+    const removals = /Removed:([\w: ]*)$/.exec(description)?.[1] ?? "";
+    return new Map(
+      [...removals.matchAll(/(\w{22}):([0-9a-z]+)/g)].map(([, id, time]) => [
+        id,
+        parseInt(time, 36),
+      ])
+    );
+  }
+
+  /**
+   * Describe the sync playlist, with when tracks were removed from it. Only the latest removals
+   * fit in the description, the others are left out.
+   * @param {Map<string, number>} removedAt When each track was removed (ms since epoch), by its ID.
+   * @returns {string}
+   */
+  function describeRemotePlaylist(removedAt) {
+    const prefix = `${remotePlaylistDescription} Removed:`;
+    const removals = [...removedAt]
+      .sort(([, a], [, b]) => b - a)
+      .map(([id, time]) => ` ${id}:${time.toString(36)}`);
+    let description = prefix;
+    let count = 0;
+    while (
+      count < removals.length &&
+      description.length + removals[count].length <= playlistDescriptionLimit
+    ) {
+      description += removals[count];
+      count += 1;
+    }
+    return count === 0 ? remotePlaylistDescription : description;
+  }
+
+  /**
+   * Create a backend which syncs the explored tracks as the tracks of a private playlist.
+   * When a track was added to the playlist counts as when it was explored. When tracks were
+   * removed is kept in its description, so other computers can tell them from tracks which were
+   * never added.
+   * Playlists are limited to 10,000 tracks by Spotify.
+   * The playlist is looked up by its name on every read, since it changes with the profile and
+   * may have been deleted. Writes go to the playlist found by the last read.
+   * @returns {RemoteBackend}
+   */
+  function createPlaylistBackend() {
+    let playlistID = null;
+    let description = remotePlaylistDescription;
+    // When the tracks which aren't in the playlist were removed, as of the last read.
+    let removedAt = new Map();
+    return {
+      name: "the sync playlist",
+      read: async () => {
+        const playlist = await findRemotePlaylist();
+        playlistID = playlist?.id ?? null;
+        description = playlist?.description ?? remotePlaylistDescription;
+        removedAt = new Map();
+        if (playlist === null) {
+          return null;
+        }
+
+        const added = new Map();
+        let pageURL =
+          `https://api.spotify.com/v1/playlists/${playlistID}/tracks` +
+          `?fields=items(added_at,track(id)),next&limit=${remotePageLimit}`;
+        while (pageURL) {
+          const page = await Spicetify.CosmosAsync.get(pageURL);
+          (page.items ?? []).forEach((item) => {
+            if (item?.track?.id != null) {
+              added.set(item.track.id, Date.parse(item.added_at) || 0);
+            }
+          });
+          pageURL = page.next;
+        }
+        parseRemovalTimes(description).forEach((time, id) => {
+          if (!added.has(id)) {
+            removedAt.set(id, time);
+          }
+        });
+        return { added, removed: new Map(removedAt) };
+      },
+      write: async (additions, removals, unmarkedAt) => {
+        if (additions.length === 0 && removals.length === 0) {
+          return;
+        }
+
+        additions.forEach((id) => removedAt.delete(id));
+        removals.forEach((id) => removedAt.set(id, unmarkedAt[id] ?? Date.now()));
+        const newDescription = describeRemotePlaylist(removedAt);
+        if (playlistID === null) {
+          const playlist = await Spicetify.CosmosAsync.post(playlistsURL, {
+            name: getRemotePlaylistName(),
+            public: false,
+            description: newDescription,
+          });
+          playlistID = check(playlist?.id);
+          description = newDescription;
+        }
+
+        const playlistTracksURL = `https://api.spotify.com/v1/playlists/${playlistID}/tracks`;
+        const toURI = (id) => `spotify:track:${id}`;
+        for (let i = 0; i < additions.length; i += remotePageLimit) {
+          const uris = additions.slice(i, i + remotePageLimit).map(toURI);
+          await Spicetify.CosmosAsync.post(playlistTracksURL, { uris });
+        }
+        for (let i = 0; i < removals.length; i += remotePageLimit) {
+          const tracks = removals.slice(i, i + remotePageLimit).map((id) => ({ uri: toURI(id) }));
+          await Spicetify.CosmosAsync.del(playlistTracksURL, { tracks });
+        }
+        if (newDescription !== description) {
+          await Spicetify.CosmosAsync.put(`https://api.spotify.com/v1/playlists/${playlistID}`, {
+            description: newDescription,
+          });
+          description = newDescription;
+        }
+      },
+    };
+  }
+
+  /** @type {Object<string, RemoteBackend>} */
+  const remoteBackends = {
+    [RemoteTarget.PLAYLIST]: createPlaylistBackend(),
+  };
+
+  /**
+   * Merge the explored tracks here with the synced tracks, in both directions.
+   * Does nothing if syncing is disabled, or a sync is ongoing.
+   * @returns {Promise<RemotePlan | null>} What was changed, null if nothing was synced.
+   */
+  async function syncWithRemote() {
+    const backend = remoteBackends[remoteState.target];
+    if (backend === undefined || isSyncingRemote) {
+      return null;
+    }
+
+    isSyncingRemote = true;
+    const startedAt = Date.now();
+    const state = remoteState;
+    try {
+      const plan = planRemoteSync(exploredTracks, await backend.read(), state);
+      await backend.write(plan.remoteAdditions, plan.remoteRemovals, state.removed);
+      mergeTrackEntries(plan.localAdditions);
+      unmarkTracksAsExplored(plan.localRemovals);
+
+      // Changes made while syncing are shared by the next sync, unless they came from it.
+      const syncedIDs = new Set(state.unsyncedIDs);
+      plan.localAdditions.forEach((entry) => syncedIDs.add(entry.id));
+      const removed = { ...remoteState.removed };
+      Object.keys(state.removed).forEach((id) => {
+        if (removed[id] <= startedAt) {
+          delete removed[id];
+        }
+      });
+      plan.localRemovals.forEach((id) => delete removed[id]);
+      remoteState = {
+        ...remoteState,
+        lastSyncedAt: startedAt,
+        unsyncedIDs: remoteState.unsyncedIDs.filter((id) => !syncedIDs.has(id)),
+        removed,
+      };
+      syncRemoteData();
+
+      log(
+        Level.INFO,
+        `Synced with ${backend.name}: ${plan.localAdditions.length} track(s) added and ` +
+          `${plan.localRemovals.length} removed here, ${plan.remoteAdditions.length} added and ` +
+          `${plan.remoteRemovals.length} removed there.`
+      );
+      return plan;
+    } catch (e) {
+      log(Level.ERROR, "Couldn't sync the explored tracks", e);
+      return null;
+    } finally {
+      isSyncingRemote = false;
+    }
+  }
+
+  /**
+   * Change where the explored tracks are synced to, and sync with it.
+   * The next sync treats every explored track as new, so nothing is lost.
+   * @param {RemoteTarget} target The new target.
+   * @returns {void}
+   */
+  function setRemoteTarget(target) {
+    remoteState = { target, lastSyncedAt: 0, unsyncedIDs: [], removed: {} };
+    syncRemoteData();
+    syncWithRemote();
+  }
+
+  /**
+   * Sync on startup, and then periodically.
+   * @returns {void}
+   */
+  function scheduleRemoteSync() {
+    syncWithRemote();
+    setInterval(syncWithRemote, remoteSyncIntervalMS);
+  }
+
+  // #endregion
+
+  // #region Profiles
+
+  // The data each profile has its own copy of, by the names used in their storage keys.
+  const profileDataNames = [
+    "explored",
+    "criteria",
+    "actions",
+    "playlists",
+    "collections",
+    "expiry",
+    "contexts",
+    "skipProtection",
+    "queueFilter",
+    "matching",
+    "recordings",
+    "remote",
+  ];
+  const maxProfileNameLength = 40;
+  let isSwitchingProfile = false;
+
+  /**
+   * Get the storage key of some data of a profile.
+   * @param {string} name The name of the data, such as "criteria".
+   * @param {string} [profileID] The ID of the profile, the active one by default.
+   * @returns {string} (eg: "explore:criteria" or "explore:profile:lx2k9a1:criteria")
+   */
+  function getProfileKey(name, profileID = profileSettings.active) {
+    if (profileID === defaultProfileID) {
+      return `${namespace}:${name}`;
+    }
+    return `${namespace}:profile:${profileID}:${name}`;
+  }
+
+  /**
+   * Point the storage keys of the profile data to the active profile.
+   * @returns {void}
+   */
+  function applyProfileKeys() {
+    exploredKey = getProfileKey("explored");
+    criteriaKey = getProfileKey("criteria");
+    actionsKey = getProfileKey("actions");
+    playlistsKey = getProfileKey("playlists");
+    collectionsKey = getProfileKey("collections");
+    expiryKey = getProfileKey("expiry");
+    contextsKey = getProfileKey("contexts");
+    skipProtectionKey = getProfileKey("skipProtection");
+    queueFilterKey = getProfileKey("queueFilter");
+    matchingKey = getProfileKey("matching");
+    recordingsKey = getProfileKey("recordings");
+    remoteKey = getProfileKey("remote");
+  }
+
+  /**
+   * Get the profile in use.
+   * @returns {Profile}
+   */
+  function getActiveProfile() {
+    return check(profileSettings.profiles.find((profile) => profile.id === profileSettings.active));
+  }
+
+  /**
+   * Get a suffix which tells the active profile apart, for the names of playlists.
+   * @returns {string} An empty string for the default profile. (eg: " (Gym)")
+   */
+  function getProfileSuffix() {
+    return profileSettings.active === defaultProfileID ? "" : ` (${getActiveProfile().name})`;
+  }
+
+  /**
+   * Validate profile settings.
+   * @param {*} settings The settings to validate.
+   * @returns {boolean}
+   */
+  function validateProfileSettings(settings) {
+    if (settings == null || typeof settings !== "object" || !Array.isArray(settings.profiles)) {
+      return false;
+    }
+
+    const ids = settings.profiles.map((profile) => profile?.id);
+    return (
+      settings.profiles.every(
+        (profile) => /^[a-z0-9]+$/.test(profile?.id) && typeof profile.name === "string"
+      ) &&
+      new Set(ids).size === ids.length &&
+      ids.includes(defaultProfileID) &&
+      ids.includes(settings.active)
+    );
+  }
+
+  /**
+   * Find a profile by its name, ignoring case.
+   * @param {string} name The name of the profile.
+   * @returns {Profile | undefined}
+   */
+  function findProfileByName(name) {
+    const lowerName = name.trim().toLowerCase();
+    return profileSettings.profiles.find((profile) => profile.name.toLowerCase() === lowerName);
+  }
+
+  /**
+   * Create a profile. It's given the settings of the active profile when it's first used.
+   * @param {string} name The name of the profile.
+   * @returns {Profile | null} null if the name is empty or already used.
+   */
+  function createProfile(name) {
+    const trimmedName = name.trim().slice(0, maxProfileNameLength);
+    if (trimmedName === "" || findProfileByName(trimmedName) !== undefined) {
+      return null;
+    }
+
+    const { profiles } = profileSettings;
+    const profile = { id: `${Date.now().toString(36)}${profiles.length}`, name: trimmedName };
+    profileSettings = { ...profileSettings, profiles: [...profiles, profile] };
+    syncProfilesData();
+    return profile;
+  }
+
+  /**
+   * Start using another profile, saving the explored tracks of the current one first.
+   * @param {string} id The ID of the profile.
+   * @returns {Promise<boolean>} Whether or not the profile is in use now.
+   */
+  async function switchProfile(id) {
+    if (id === profileSettings.active) {
+      return true;
+    }
+    if (isSwitchingProfile || isSeeding || isWritingPlaylist || isSyncingRemote) {
+      Spicetify.showNotification("The explored tracks are being updated, try again soon.");
+      return false;
+    }
+
+    isSwitchingProfile = true;
+    try {
+      if (exploredStorage !== null && !(await flushExploredWrites())) {
+        return false;
+      }
+
+      exploredStorage?.close();
+      exploredStorage = null;
+      exploredTracks.clear();
+      changedTrackIDs.clear();
+      // These belong to the previous profile, and mustn't be given to a new one.
+      remoteState = { target: RemoteTarget.NONE, lastSyncedAt: 0, unsyncedIDs: [], removed: {} };
+      playlistSettings = { ...playlistSettings, uris: {} };
+      collectionRules = { ...collectionRules, explored: [], blocked: [] };
+      clearHistory();
+
+      profileSettings = { ...profileSettings, active: id };
+      syncProfilesData();
+      applyProfileKeys();
+      await initializeProfileData();
+      log(Level.INFO, `Switched to the profile ${getActiveProfile().name}.`);
+      Spicetify.showNotification(`Switched to the ${getActiveProfile().name} profile.`);
+      return true;
+    } catch (e) {
+      log(Level.ERROR, "Couldn't switch profiles", e);
+      return false;
+    } finally {
+      isSwitchingProfile = false;
+    }
+  }
+
+  /**
+   * Switch to the profile after the active one, or the first one after the last.
+   * @returns {Promise<void>}
+   */
+  async function switchToNextProfile() {
+    const { profiles, active } = profileSettings;
+    const index = profiles.findIndex((profile) => profile.id === active);
+    const next = profiles[(index + 1) % profiles.length];
+    if (next.id === active) {
+      Spicetify.showNotification("There are no other profiles, create one in the settings.");
+      return;
+    }
+    await switchProfile(next.id);
+  }
+
+  /**
+   * Delete a profile, with its explored tracks and settings.
+   * The default profile can't be deleted.
+   * @param {string} id The ID of the profile.
+   * @returns {Promise<void>}
+   */
+  async function deleteProfile(id) {
+    if (id === defaultProfileID) {
+      return;
+    }
+    if (id === profileSettings.active && !(await switchProfile(defaultProfileID))) {
+      return;
+    }
+
+    profileSettings = {
+      ...profileSettings,
+      profiles: profileSettings.profiles.filter((profile) => profile.id !== id),
+    };
+    syncProfilesData();
+    profileDataNames.forEach((name) => Spicetify.LocalStorage.remove(getProfileKey(name, id)));
+    if (typeof indexedDB !== "undefined") {
+      indexedDB.deleteDatabase(getDatabaseName(id));
+    }
+  }
+
+  /**
+   * Read the explored tracks of a profile, which may not be in use.
+   * @param {string} id The ID of the profile.
+   * @returns {Promise<TrackEntry[]>}
+   */
+  async function readProfileTracks(id) {
+    if (id === profileSettings.active) {
+      return [...exploredTracks.values()];
+    }
+
+    const entries = new Map();
+    (readLocalExploredTracks(getProfileKey("explored", id)) ?? []).forEach((entry) =>
+      entries.set(entry.id, entry)
+    );
+    let database = null;
+    try {
+      database = await openDatabase(id);
+    } catch (e) {
+      return [...entries.values()];
+    }
+
+    const transaction = database.transaction(exploredStoreName, "readonly");
+    /** @type {TrackEntry[]} */
+    const saved = await requestToPromise(transaction.objectStore(exploredStoreName).getAll());
+    database.close();
+    saved.forEach((entry) => {
+      const existing = entries.get(entry.id);
+      if (existing === undefined) {
+        entries.set(entry.id, entry);
+      } else {
+        combineTrackEntries(existing, entry);
+      }
+    });
+    return [...entries.values()];
+  }
+
+  /**
+   * Merge track entries into the explored tracks of a profile which isn't in use.
+   * @param {string} id The ID of the profile.
+   * @param {TrackEntry[]} entries The entries to merge.
+   * @returns {Promise<void>}
+   */
+  async function mergeProfileTracks(id, entries) {
+    const merged = new Map((await readProfileTracks(id)).map((entry) => [entry.id, entry]));
+    entries.forEach((entry) => {
+      const existing = merged.get(entry.id);
+      if (existing === undefined) {
+        merged.set(entry.id, { ...entry });
+      } else {
+        combineTrackEntries(existing, entry);
+      }
+    });
+
+    let database = null;
+    try {
+      database = await openDatabase(id);
+    } catch (e) {
+      localStorage.setItem(getProfileKey("explored", id), JSON.stringify([...merged.values()]));
+      return;
+    }
+
+    const storage = createIndexedDBStorage(database);
+    try {
+      await storage.write([...merged.values()], []);
+      // Tracks which were left in LocalStorage are in IndexedDB now.
+      Spicetify.LocalStorage.remove(getProfileKey("explored", id));
+    } finally {
+      storage.close();
+    }
+  }
+
+  // #endregion
+
+  // #region Artists and Albums
+
+  /**
+   * Enum for why a track is acted on.
+   * @readonly
+   * @enum {string}
+   */
+  const ExploredReason = {
+    TRACK: "track",
+    ARTIST: "artist",
+    ALBUM: "album",
+    // Another release of the same recording was explored.
+    RECORDING: "recording",
+    BLOCKED: "blocked",
+  };
+
+  /**
+   * Get the artists and album of a track from its player metadata.
+   * @param {Spicetify.ContextTrack} track The track in the player.
+   * @returns {TrackCollections}
+   */
+  function getTrackCollections(track) {
+    const metadata = track.metadata ?? {};
+    const artistURIs = Object.keys(metadata)
+      .filter((key) => /^artist_uri(:\d+)?$/.test(key))
+      .map((key) => metadata[key]);
+    return { artistURIs, albumURI: metadata.album_uri ?? "" };
+  }
+
+  /**
+   * Count the explored tracks of an artist or album.
+   * @param {string} uri The URI of the artist or album.
+   * @returns {number}
+   */
+  function countExploredTracksOf(uri) {
+    let count = 0;
+    exploredTracks.forEach((entry) => {
+      if (entry.albumURI === uri || entry.artistURIs?.includes(uri)) {
+        count += 1;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Check whether a list of artists and albums contains a URI.
+   * @param {CollectionItem[]} items The list.
+   * @param {string} uri The URI of the artist or album.
+   * @returns {boolean}
+   */
+  function includesCollection(items, uri) {
+    return items.some((item) => item.uri === uri);
+  }
+
+  /**
+   * Check whether an artist or album has been explored.
+   * @param {string} uri The URI of the artist or album.
+   * @param {number} threshold The number of explored tracks after which it is explored.
+   * @returns {boolean}
+   */
+  function isCollectionExplored(uri, threshold) {
+    return (
+      includesCollection(collectionRules.explored, uri) ||
+      (threshold > 0 && countExploredTracksOf(uri) >= threshold)
+    );
+  }
+
+  /**
+   * Find out why a track which started playing should be acted on.
+   * @param {string} id The ID of the track.
+   * @param {TrackCollections} collections The artists and album of the track.
+   * @returns {ExploredReason | null} null if the track should play.
+   */
+  function getExploredReason(id, { artistURIs, albumURI }) {
+    const uris = [...artistURIs, albumURI];
+    if (uris.some((uri) => includesCollection(collectionRules.blocked, uri))) {
+      return ExploredReason.BLOCKED;
+    }
+    const entry = findTrackEntry(id);
+    if (entry !== undefined && !isTrackExpired(entry)) {
+      return ExploredReason.TRACK;
+    }
+    if (artistURIs.some((uri) => isCollectionExplored(uri, collectionRules.artistThreshold))) {
+      return ExploredReason.ARTIST;
+    }
+    if (albumURI !== "" && isCollectionExplored(albumURI, collectionRules.albumThreshold)) {
+      return ExploredReason.ALBUM;
+    }
+    return null;
+  }
+
+  /**
+   * Get the path of the Web API endpoints for a type of URI.
+   * @param {string} type The type of the URI.
+   * @returns {string | null} null if the Web API has no endpoints for it.
+   */
+  function getWebAPIPath(type) {
+    switch (type) {
+      case Spicetify.URI.Type.TRACK:
+        return "tracks";
+      case Spicetify.URI.Type.ALBUM:
+        return "albums";
+      case Spicetify.URI.Type.ARTIST:
+        return "artists";
+      case Spicetify.URI.Type.PLAYLIST:
+      case Spicetify.URI.Type.PLAYLIST_V2:
+        return "playlists";
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Fetch the name of an artist, album or playlist.
+   * @param {string} uri The URI of the artist, album or playlist.
+   * @returns {Promise<string>} The name, or the URI if it couldn't be fetched.
+   */
+  async function getCollectionName(uri) {
+    const { type, id } = Spicetify.URI.fromString(uri);
+    const path = getWebAPIPath(type);
+    if (path === null) {
+      log(Level.DEBUG, `Can't fetch the name of ${uri}.`);
+      return uri;
+    }
+
+    try {
+      const collection = await Spicetify.CosmosAsync.get(
+        `https://api.spotify.com/v1/${path}/${id}`
+      );
+      return check(collection?.name);
+    } catch (e) {
+      log(Level.DEBUG, `Couldn't fetch the name of ${uri}.`);
+      return uri;
+    }
+  }
+
+  /**
+   * Add an artist or album to a list, or remove it.
+   * @param {"explored" | "blocked"} list The list to change.
+   * @param {string} uri The URI of the artist or album.
+   * @param {boolean} add Whether to add or remove it.
+   * @returns {Promise<void>}
+   */
+  async function setCollectionListed(list, uri, add) {
+    const items = collectionRules[list].filter((item) => item.uri !== uri);
+    if (add) {
+      items.push({ uri, name: await getCollectionName(uri) });
+    }
+
+    collectionRules = { ...collectionRules, [list]: items };
+    syncCollectionsData();
+  }
+
+  // #endregion
+
+  // #region Recordings
+
+  const tracksURL = "https://api.spotify.com/v1/tracks";
+  const recordingBatchSize = 50;
+  let isResolvingRecordings = false;
+
+  /**
+   * Check whether tracks can match other releases of the same recording.
+   * @returns {boolean}
+   */
+  function isMatchingEnabled() {
+    return matchingSettings.isrc || matchingSettings.titles;
+  }
+
+  /**
+   * Normalise a title or name, so that different spellings of it are equal.
+   * Accents, case, punctuation and version details such as "(Remastered 2011)" or
+   * "- Single Version" are left out.
+   * @param {string} text The title or name.
+   * @returns {string}
+   */
+  function normalizeTitle(text) {
+    return text
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/\s*[([].*?[)\]]/g, "")
+      .replace(/\s+-\s+.*$/, "")
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
+  }
+
+  /**
+   * Convert a track returned by the Web API to the details of its recording.
+   * @param {*} track The track from the Web API, null if it wasn't found.
+   * @returns {RecordingInfo}
+   */
+  function parseRecordingInfo(track) {
+    return {
+      isrc: track?.external_ids?.isrc ?? null,
+      title: normalizeTitle(track?.name ?? ""),
+      artist: normalizeTitle(track?.artists?.[0]?.name ?? ""),
+    };
+  }
+
+  /**
+   * Look up the recordings of tracks, and cache them.
+   * @param {string[]} ids The IDs of the tracks, at most the batch size.
+   * @returns {Promise<void>}
+   */
+  async function fetchRecordings(ids) {
+    const response = await Spicetify.CosmosAsync.get(`${tracksURL}?ids=${ids.join(",")}`);
+    const tracks = check(response?.tracks);
+    ids.forEach((id, i) => recordings.set(id, parseRecordingInfo(tracks[i])));
+  }
+
+  /**
+   * Look up the recordings of every explored track which hasn't been looked up yet.
+   * Does nothing if matching is disabled.
+   * @returns {Promise<void>}
+   */
+  async function resolveExploredRecordings() {
+    if (isResolvingRecordings || !isMatchingEnabled()) {
+      return;
+    }
+
+    const getMissingIDs = () => [...exploredTracks.keys()].filter((id) => !recordings.has(id));
+
+    isResolvingRecordings = true;
+    try {
+      let missingIDs = getMissingIDs();
+      while (missingIDs.length > 0) {
+        await fetchRecordings(missingIDs.slice(0, recordingBatchSize));
+        syncRecordingsData();
+        // Tracks may have been explored in the meantime.
+        missingIDs = getMissingIDs();
+      }
+    } catch (e) {
+      log(Level.ERROR, "Couldn't look up the recordings of explored tracks", e);
+    } finally {
+      isResolvingRecordings = false;
+    }
+  }
+
+  /**
+   * Get the keys which a recording is matched by, with the current settings.
+   * @param {RecordingInfo} info The recording.
+   * @returns {string[]}
+   */
+  function getRecordingKeys({ isrc, title, artist }) {
+    const keys = [];
+    if (matchingSettings.isrc && isrc !== null) {
+      keys.push(`isrc:${isrc}`);
+    }
+    if (matchingSettings.titles && title !== "" && artist !== "") {
+      keys.push(`title:${artist}:${title}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Get the explored tracks by the keys of their recordings.
+   * @returns {Map<string, string>}
+   */
+  function getRecordingIndex() {
+    if (recordingIndex === null) {
+      recordingIndex = new Map();
+      exploredTracks.forEach((_, id) => {
+        const info = recordings.get(id);
+        if (info !== undefined) {
+          getRecordingKeys(info).forEach((key) => check(recordingIndex).set(key, id));
+        }
+      });
+    }
+    return recordingIndex;
+  }
+
+  /**
+   * Find an explored track which is another release of the same recording as a track.
+   * @param {string} id The ID of the track.
+   * @returns {Promise<string | null>} The ID of the explored track, or null if there's none.
+   */
+  async function findEquivalentTrack(id) {
+    if (!recordings.has(id)) {
+      await fetchRecordings([id]);
+    }
+
+    const index = getRecordingIndex();
+    const matchIDs = getRecordingKeys(check(recordings.get(id))).map((key) => index.get(key));
+    const matchID = matchIDs.find((match) => {
+      const entry = match !== undefined && match !== id ? findTrackEntry(match) : undefined;
+      return entry !== undefined && !isTrackExpired(entry);
+    });
+    return matchID ?? null;
+  }
+
+  /**
+   * Merge imported recordings into the cache.
+   * @param {Object<string, RecordingInfo>} imported The recordings by track ID.
+   * @returns {void}
+   */
+  function mergeRecordings(imported) {
+    Object.entries(imported).forEach(([id, info]) => recordings.set(id, info));
+    syncRecordingsData();
+  }
+
+  // #endregion
+
+  // #region Contexts
+
+  /**
+   * Check whether discovery mode is allowed in a context by the context rules.
+   * @param {string | undefined} contextURI The URI of the context.
+   * @returns {boolean}
+   */
+  function isContextAllowed(contextURI) {
+    if (contextRules.mode === ContextMode.ALL) {
+      return true;
+    }
+
+    const isRadio =
+      contextURI != null &&
+      (Spicetify.URI.isStation(contextURI) || Spicetify.URI.isRadio(contextURI));
+    const list =
+      contextRules.mode === ContextMode.INCLUDE ? contextRules.included : contextRules.excluded;
+    const isListed =
+      (contextRules.radios && isRadio) ||
+      (contextURI != null && includesCollection(list, contextURI));
+    return contextRules.mode === ContextMode.INCLUDE ? isListed : !isListed;
+  }
+
+  /**
+   * Check whether discovery mode is enabled, and allowed in the current context.
+   * @returns {boolean}
+   */
+  function isDiscoveryActive() {
+    return isEnabled && !isSnoozed() && isContextAllowed(Spicetify.Player.data?.context_uri);
+  }
+
+  /**
+   * Add a context to the included or excluded list, or remove it.
+   * @param {"included" | "excluded"} list The list to change.
+   * @param {string} uri The URI of the context.
+   * @param {boolean} add Whether to add or remove it.
+   * @returns {Promise<void>}
+   */
+  async function setContextListed(list, uri, add) {
+    const items = contextRules[list].filter((item) => item.uri !== uri);
+    if (add) {
+      items.push({ uri, name: await getCollectionName(uri) });
+    }
+
+    contextRules = { ...contextRules, [list]: items };
+    // Listing a context while discovery mode is active everywhere means the list should be used.
+    if (add && contextRules.mode === ContextMode.ALL) {
+      contextRules.mode = list === "included" ? ContextMode.INCLUDE : ContextMode.EXCLUDE;
+    }
+
+    syncContextsData();
+    handleStates();
+  }
+
+  // #endregion
+
+  // #region Traces
+
+  const traceVersion = 1;
+  // Saved with traces, so that replays track the player the same way.
+  const traceSettingNames = [
+    "criteria",
+    "actions",
+    "collections",
+    "expiry",
+    "contexts",
+    "skipProtection",
+    "queueFilter",
+    "matching",
+  ];
+
+  /**
+   * A player event seen while recording a trace.
+   * @typedef {Object} TraceEvent
+   * @property {number} time When the event happened (ms since epoch).
+   * @property {string} type The type of the event, such as "songchange".
+   * @property {Object | null} data The parts of Spicetify.Player.data which tracking reads.
+   */
+
+  /**
+   * A recording of the player during a session, which can be replayed without Spotify.
+   * @typedef {Object} PlayerTrace
+   * @property {number} traceVersion The version of the trace format.
+   * @property {string} extensionVersion The version of the extension which recorded the trace.
+   * @property {Object<string, string | null>} settings The saved settings, by LocalStorage key.
+   * @property {TrackEntry[]} explored The explored tracks when the recording started.
+   * @property {TraceEvent[]} events The player events, oldest first.
+   */
+
+  /** @type {PlayerTrace | null} */
+  let activeTrace = null;
+
+  /**
+   * Copy the parts of the player data which tracking reads.
+   * @param {*} data The player data.
+   * @returns {Object | null}
+   */
+  function copyPlayerData(data) {
+    if (data == null) {
+      return null;
+    }
+
+    const metadata = Object.entries(data.track?.metadata ?? {}).filter(([key]) =>
+      /^(title|artist_name|album_uri|artist_uri(:\d+)?)$/.test(key)
+    );
+    return {
+      context_uri: data.context_uri,
+      timestamp: data.timestamp,
+      position_as_of_timestamp: data.position_as_of_timestamp,
+      is_paused: data.is_paused,
+      duration: Spicetify.Player.getDuration(),
+      track:
+        data.track == null
+          ? null
+          : { uri: data.track.uri, uid: data.track.uid, metadata: Object.fromEntries(metadata) },
+    };
+  }
+
+  /**
+   * Add a player event to the trace being recorded, if any.
+   * @param {string} type The type of the event.
+   * @returns {void}
+   */
+  function recordTraceEvent(type) {
+    activeTrace?.events.push({
+      time: Date.now(),
+      type,
+      data: copyPlayerData(Spicetify.Player.data),
+    });
+  }
+
+  /**
+   * Start recording a trace, beginning with the current player state.
+   * @returns {void}
+   */
+  function startTraceRecording() {
+    activeTrace = {
+      traceVersion,
+      extensionVersion,
+      // Saved under the default profile's keys, since replays use that profile.
+      settings: Object.fromEntries([
+        [statusKey, Spicetify.LocalStorage.get(statusKey)],
+        ...traceSettingNames.map((name) => [
+          getProfileKey(name, defaultProfileID),
+          Spicetify.LocalStorage.get(getProfileKey(name)),
+        ]),
+      ]),
+      explored: [...exploredTracks.values()].map((entry) => ({ ...entry })),
+      events: [],
+    };
+    recordTraceEvent("start");
+    log(Level.INFO, "Started recording a player trace.");
+  }
+
+  /**
+   * Stop recording the trace.
+   * @returns {PlayerTrace | null} The recorded trace, null if one wasn't being recorded.
+   */
+  function stopTraceRecording() {
+    const trace = activeTrace;
+    activeTrace = null;
+    if (trace !== null) {
+      log(Level.INFO, `Recorded a player trace with ${trace.events.length} event(s).`);
+    }
+    return trace;
+  }
+
+  // #endregion
+
+  // #region Main Logic
+
+  /**
+   * The parts of the player state which are needed to track progress.
+   * @typedef {Object} PlayerSnapshot
+   * @property {boolean} is_playing Whether or not the track is playing.
+   * @property {number} position_at_ts The position of the track at the timestamp.
+   * @property {number} timestamp When the player state was last updated.
+   * @property {number} duration The duration of the track.
+   * @property {Spicetify.URI} trackURI The URI of the track.
+   * @property {TrackCollections} collections The artists and album of the track.
+   */
+
+  /** @type {PlayerSnapshot | null} */
+  let previousPlayerState = null;
+  let totalTrackProgress = 0;
+  let trackJustSaved = false;
+  let thresholdTimeout = null;
+
+  /**
+   * Read the current player state.
+   * @returns {PlayerSnapshot | null} null if a track isn't playing or discovery mode isn't active.
+   * @throws {Error} If Spotify returned incomplete data for a playing track.
+   */
+  function readPlayerState() {
+    const data = isDiscoveryActive() ? Spicetify.Player.data : null;
+
+    let trackURI = null;
+    if (data != null && data.track != null) {
+      trackURI = Spicetify.URI.fromString(data.track.uri);
+    }
+
+    if (trackURI?.type !== Spicetify.URI.Type.TRACK) {
+      return null;
+    }
+
+    // A track is playing, ensure if the rest of the data is valid.
+    if (data.timestamp == null || data.position_as_of_timestamp == null || data.is_paused == null) {
+      throw new Error("Spotify returned data that doesn't have expected values.");
+    }
+
+    return {
+      is_playing: !data.is_paused,
+      position_at_ts: data.position_as_of_timestamp,
+      timestamp: data.timestamp,
+      duration: Spicetify.Player.getDuration(),
+      trackURI,
+      collections: getTrackCollections(data.track),
+    };
+  }
+
+  /**
+   * Compute how much longer a track has to play until it meets the explored criteria.
+   * @param {PlayerSnapshot} snapshot A state of the track.
+   * @param {number} listenedMS The total time the track has been played for.
+   * @param {number} positionMS The furthest known position in the track.
+   * @returns {number} The remaining time, which is not positive if the criteria are met.
+   */
+  function getRemainingUntilExplored(snapshot, listenedMS, positionMS) {
+    const { mode, value } = exploredCriteria;
+    if (mode === CriteriaMode.TIME) {
+      return value * 1000 - listenedMS;
+    }
+
+    // The other criteria can't be met without knowing the duration.
+    if (!(snapshot.duration > 0)) {
+      return Infinity;
+    }
+
+    if (mode === CriteriaMode.PERCENT) {
+      return (value / 100) * snapshot.duration - listenedMS;
+    }
+    return snapshot.duration - value * 1000 - positionMS;
+  }
+
+  /**
+   * Set a timer which fires once the current track should have met the progress threshold.
+   * Any previously set timer is cleared.
+   * @returns {void}
+   */
+  function scheduleThresholdCheck() {
+    clearTimeout(thresholdTimeout);
+    thresholdTimeout = null;
+
+    if (trackJustSaved || !previousPlayerState?.is_playing) {
+      return;
+    }
+
+    const roughProgress = Date.now() - previousPlayerState.timestamp;
+    const remaining = getRemainingUntilExplored(
+      previousPlayerState,
+      totalTrackProgress + roughProgress,
+      previousPlayerState.position_at_ts + roughProgress
+    );
+    if (Number.isFinite(remaining)) {
+      thresholdTimeout = setTimeout(handleStates, Math.max(remaining, 0));
+    }
+  }
+
+  let volumeBeforeFastForward = null;
+  // Explored tracks which were deliberately played, and shouldn't be acted on.
+  const bypassedTrackIDs = new Set();
+  // Explored tracks which were moved behind the context, and are skipped when they come up again.
+  const movedTrackIDs = new Set();
+  // The context the tracks were moved in, they're moved again in another one.
+  let movedContextURI = null;
+
+  /**
+   * Let an explored track play once, without performing the explored action.
+   * @param {string} id The ID of the track.
+   * @returns {void}
+   */
+  function bypassTrack(id) {
+    bypassedTrackIDs.add(id);
+  }
+
+  /**
+   * Restore the volume lowered when fast-forwarding through an explored track.
+   * @returns {void}
+   */
+  function restoreVolume() {
+    if (volumeBeforeFastForward !== null) {
+      Spicetify.Player.setVolume(volumeBeforeFastForward);
+      volumeBeforeFastForward = null;
+    }
+  }
+
+  // Spotify's own "Go to song radio" gets the radio playlist of a track here. It isn't a public
+  // API, and may change.
+  const radioSeedURL = "https://spclient.wg.spotify.com/inspiredby-mix/v2/seed_to_playlist";
+  // How long the player has to start playing a radio, before it counts as failed.
+  const radioStartTimeoutMS = 5000;
+  const maxHistoryLength = 30;
+  const undoNotificationMS = 6000;
+
+  /**
+   * What happened to a track in the history.
+   * @readonly
+   * @enum {string}
+   */
+  const HistoryKind = {
+    MARK: "mark",
+    SKIP: "skip",
+  };
+
+  /**
+   * A track which was marked as explored or skipped automatically during this session.
+   * @typedef {Object} HistoryEntry
+   * @property {HistoryKind} kind What happened to the track.
+   * @property {number} time When it happened (ms since epoch).
+   * @property {string} id The ID of the track.
+   * @property {string | null} name The title and artist of the track, if they were known.
+   * @property {string} uri The URI of the track.
+   * @property {string | undefined} uid The UID of the track in its context.
+   * @property {string | null} contextURI The URI of the context it played in.
+   * @property {boolean} isUndone Whether or not it has been undone.
+   */
+
+  /**
+   * The recent marks and auto-skips, newest first.
+   * @type {HistoryEntry[]}
+   */
+  let sessionHistory = [];
+  // When the recent auto-skips in the ongoing streak happened.
+  let skipTimes = [];
+  let skipStreakLength = 0;
+
+  /**
+   * End the ongoing streak of auto-skips, as a track was allowed to play.
+   * @returns {void}
+   */
+  function endSkipStreak() {
+    if (skipStreakLength > 1) {
+      log(Level.DEBUG, `Skip streak ended after ${skipStreakLength} auto-skips.`);
+    }
+    skipTimes = [];
+    skipStreakLength = 0;
+  }
+
+  /**
+   * Add a mark or auto-skip to the history. The current track is described by the player, other
+   * tracks only by their ID.
+   * @param {HistoryKind} kind What happened to the track.
+   * @param {string} id The ID of the track.
+   * @returns {HistoryEntry}
+   */
+  function addHistoryEntry(kind, id) {
+    const track = Spicetify.Player.data?.track;
+    const isCurrent = track != null && Spicetify.URI.fromString(track.uri).id === id;
+    const metadata = isCurrent ? track.metadata ?? {} : {};
+    const name = [metadata.title, metadata.artist_name].filter(Boolean).join(" - ");
+
+    /** @type {HistoryEntry} */
+    const entry = {
+      kind,
+      time: Date.now(),
+      id,
+      name: name || null,
+      uri: isCurrent ? track.uri : `spotify:track:${id}`,
+      uid: isCurrent ? track.uid : undefined,
+      contextURI: (isCurrent && Spicetify.Player.data?.context_uri) || null,
+      isUndone: false,
+    };
+    sessionHistory = [entry, ...sessionHistory].slice(0, maxHistoryLength);
+    syncHistoryInputs();
+    return entry;
+  }
+
+  /**
+   * Forget the history, as its tracks belong to another profile.
+   * @returns {void}
+   */
+  function clearHistory() {
+    sessionHistory = [];
+    syncHistoryInputs();
+  }
+
+  /**
+   * Show that a track was skipped, with a button to undo it.
+   * @param {HistoryEntry} entry The auto-skip.
+   * @returns {void}
+   */
+  function notifyAutoSkip(entry) {
+    const { createElement } = Spicetify.React;
+    const undoButton = createElement(
+      "button",
+      {
+        onClick: () => undoHistoryEntry(entry),
+        style: {
+          marginLeft: "8px",
+          background: "none",
+          border: 0,
+          color: "inherit",
+          fontWeight: "bold",
+          textDecoration: "underline",
+          cursor: "pointer",
+        },
+      },
+      "Undo"
+    );
+    Spicetify.showNotification(
+      createElement("span", null, `Skipped ${entry.name ?? "an explored track"}.`, undoButton),
+      false,
+      undoNotificationMS
+    );
+  }
+
+  /**
+   * Find the explored track which was explored the longest time ago.
+   * @param {string} excludedID The ID of a track which shouldn't be picked.
+   * @returns {TrackEntry | null}
+   */
+  function findLeastRecentlyExplored(excludedID) {
+    /** @type {TrackEntry | null} */
+    let leastRecent = null;
+    exploredTracks.forEach((entry) => {
+      const exploredAt = entry.lastExploredAt ?? entry.exploredAt;
+      if (
+        entry.id !== excludedID &&
+        (leastRecent === null ||
+          exploredAt < (leastRecent.lastExploredAt ?? leastRecent.exploredAt))
+      ) {
+        leastRecent = entry;
+      }
+    });
+    return leastRecent;
+  }
+
+  /**
+   * Wait for the player to play a context.
+   * @param {string} uri The URI of the context.
+   * @param {number} timeoutMS How long to wait for.
+   * @returns {Promise<boolean>} Whether it played the context in time.
+   */
+  function waitForContext(uri, timeoutMS) {
+    return new Promise((resolve) => {
+      let timeout = null;
+      const checkContext = () => {
+        if (Spicetify.Player.data?.context_uri !== uri) {
+          return;
+        }
+        clearTimeout(timeout);
+        Spicetify.Player.removeEventListener("songchange", checkContext);
+        resolve(true);
+      };
+
+      timeout = setTimeout(() => {
+        Spicetify.Player.removeEventListener("songchange", checkContext);
+        resolve(false);
+      }, timeoutMS);
+      Spicetify.Player.addEventListener("songchange", checkContext);
+      checkContext();
+    });
+  }
+
+  /**
+   * Start a radio based on a track.
+   * @param {string} uri The URI of the track.
+   * @returns {Promise<void>}
+   * @throws {Error} If no radio was found, or the player didn't start playing it.
+   */
+  async function startTrackRadio(uri) {
+    const radio = await Spicetify.CosmosAsync.get(`${radioSeedURL}/${uri}?response-format=json`);
+    const radioURI = radio?.mediaItems?.[0]?.uri;
+    if (typeof radioURI !== "string" || Spicetify.URI.from(radioURI) === null) {
+      throw new Error("No radio was found for the track.");
+    }
+
+    const started = waitForContext(radioURI, radioStartTimeoutMS);
+    await Spicetify.Player.playUri(radioURI);
+    if (!(await started)) {
+      throw new Error("The radio didn't start playing.");
+    }
+  }
+
+  /**
+   * Stop skipping, and do the chosen fallback instead. Pauses if the fallback isn't possible.
+   * @param {PlayerSnapshot} state The state of the track which would have been skipped.
+   * @returns {Promise<void>}
+   */
+  async function performSkipFallback(state) {
+    if (skipProtection.fallback === SkipFallback.LEAST_RECENT) {
+      const entry = findLeastRecentlyExplored(state.trackURI.id);
+      if (entry !== null) {
+        playExploredTrack(entry.id);
+        return;
+      }
+    } else if (skipProtection.fallback === SkipFallback.RADIO) {
+      try {
+        await startTrackRadio(state.trackURI.toURI());
+        return;
+      } catch (e) {
+        log(Level.ERROR, "Couldn't start a radio", e);
+      }
+    }
+
+    Spicetify.Player.pause();
+  }
+
+  /**
+   * Record an automatic skip of an explored track, and check that skipping isn't running away.
+   * When too many tracks were skipped in a row, the skip is replaced with the fallback.
+   * @param {PlayerSnapshot} state The state of the track which is about to be skipped.
+   * @returns {boolean} Whether or not the track should be skipped.
+   */
+  function recordAutoSkip(state) {
+    const now = Date.now();
+    skipTimes = skipTimes.filter((time) => now - time < skipProtection.seconds * 1000);
+    skipTimes.push(now);
+    skipStreakLength += 1;
+
+    if (skipProtection.count === 0 || skipTimes.length <= skipProtection.count) {
+      notifyAutoSkip(addHistoryEntry(HistoryKind.SKIP, state.trackURI.id));
+      return true;
+    }
+
+    log(
+      Level.INFO,
+      `Skip streak of ${skipStreakLength} auto-skips, falling back to: ${skipProtection.fallback}.`
+    );
+    Spicetify.showNotification(
+      `Skipped ${skipProtection.count} explored tracks in a row, stopped skipping.`
+    );
+    skipTimes = [];
+    skipStreakLength = 0;
+    performSkipFallback(state);
+    return false;
+  }
+
+  /**
+   * Get the upcoming tracks of the queue, with where they come from.
+   * @returns {Spicetify.ProvidedTrack[]}
+   */
+  function getUpcomingTracks() {
+    return (Spicetify.Queue?.nextTracks ?? [])
+      .map((item) => ({ ...(item.contextTrack ?? item), provider: item.provider }))
+      .filter(({ uri }) => typeof uri === "string" && Spicetify.URI.isTrack(uri));
+  }
+
+  /**
+   * Skip an explored track, and remove its later occurrences from the queue.
+   * The playing track itself isn't in the queue anymore, so only the later ones can be removed.
+   * @param {string} uri The URI of the track.
+   * @returns {void}
+   */
+  function skipAndRemove(uri) {
+    const occurrences = getUpcomingTracks().filter((track) => track.uri === uri);
+    Spicetify.Player.next();
+    if (occurrences.length === 0) {
+      return;
+    }
+
+    Spicetify.removeFromQueue(occurrences.map((track) => ({ uri, uid: track.uid }))).catch((e) => {
+      log(Level.ERROR, "Couldn't remove the track from the queue", e);
+    });
+  }
+
+  /**
+   * Skip an explored track, and insert it behind the last upcoming track of the context which
+   * Spotify has loaded, so that those play first. A track is only moved once in each context,
+   * it's skipped when it comes up again, or when there's no context left to move it behind.
+   * @param {string} id The ID of the track.
+   * @param {string} uri The URI of the track.
+   * @returns {void}
+   */
+  function skipAndMoveToEnd(id, uri) {
+    const contextURI = Spicetify.Player.data?.context_uri || null;
+    if (contextURI !== movedContextURI) {
+      movedTrackIDs.clear();
+      movedContextURI = contextURI;
+    }
+
+    const lastContextTrack = getUpcomingTracks()
+      .filter(({ provider }) => provider === "context")
+      .pop();
+    Spicetify.Player.next();
+    if (movedTrackIDs.has(id) || lastContextTrack === undefined) {
+      return;
+    }
+
+    const playerAPI = Spicetify.Platform?.PlayerAPI;
+    if (typeof playerAPI?.insertIntoQueue !== "function") {
+      log(Level.WARNING, "This version of Spotify can't insert tracks into the queue, skipped it");
+      return;
+    }
+
+    playerAPI
+      .insertIntoQueue([{ uri }], {
+        after: { uri: lastContextTrack.uri, uid: lastContextTrack.uid },
+      })
+      .then(() => {
+        movedTrackIDs.add(id);
+      })
+      .catch((e) => {
+        log(Level.ERROR, "Couldn't move the track to the end of the context", e);
+      });
+  }
+
+  /**
+   * Get the action for explored tracks. The action of the hotkey which turned the current mode on
+   * is used instead of the settings, if it has one.
+   * @returns {ExploredAction}
+   */
+  function getExploredAction() {
+    if (isGentle) {
+      return allHotkeys.gentle.actionOverride ?? exploredActions.gentle;
+    }
+    const override = isEnabledByHotkey ? allHotkeys.discovery.actionOverride : null;
+    return override ?? exploredActions.normal;
+  }
+
+  /**
+   * Perform the chosen action for an explored track which has started playing.
+   * @param {PlayerSnapshot} state The state of the explored track.
+   * @param {ExploredReason} reason Why the track counts as explored.
+   * @returns {void}
+   */
+  function handleExploredTrack(state, reason) {
+    const action = getExploredAction();
+    const { uri } = check(Spicetify.Player.data.track);
+    log(Level.TRACE, `New track has been explored (${reason}), performing action: ${action}.`);
+
+    if (action === ExploredAction.NOTIFY) {
+      endSkipStreak();
+      Spicetify.showNotification("This track has already been explored.");
+      return;
+    }
+
+    if (!recordAutoSkip(state)) {
+      return;
+    }
+
+    const remainingMS = state.duration - state.position_at_ts;
+    recordTrackSkip(
+      state.trackURI.id,
+      action === ExploredAction.FAST_FORWARD ? remainingMS - fastForwardLeadMS : remainingMS
+    );
+    switch (action) {
+      case ExploredAction.REMOVE:
+        skipAndRemove(uri);
+        break;
+      case ExploredAction.MOVE_TO_END:
+        skipAndMoveToEnd(state.trackURI.id, uri);
+        break;
+      case ExploredAction.FAST_FORWARD:
+        volumeBeforeFastForward = Spicetify.Player.getVolume();
+        Spicetify.Player.setVolume(volumeBeforeFastForward * fastForwardVolumeRatio);
+        Spicetify.Player.seek(Math.max(state.duration - fastForwardLeadMS, 0));
+        break;
+      default:
+        Spicetify.Player.next();
+    }
+  }
+
+  /**
+   * Perform the explored action if a track which started playing is another release of an
+   * explored recording. Its recording may have to be looked up first.
+   * @param {PlayerSnapshot} state The state of the track.
+   * @returns {Promise<void>}
+   */
+  async function handleEquivalentRecording(state) {
+    const { id } = state.trackURI;
+    let equivalentID = null;
+    try {
+      equivalentID = await findEquivalentTrack(id);
+    } catch (e) {
+      log(Level.DEBUG, `Couldn't look up the recording of ${id} (${e.message})`);
+    }
+
+    // The track may have changed while its recording was looked up.
+    if (previousPlayerState?.trackURI.id !== id) {
+      return;
+    }
+
+    if (equivalentID === null) {
+      endSkipStreak();
+    } else {
+      log(Level.TRACE, `New track is the same recording as ${equivalentID}.`);
+      handleExploredTrack(state, ExploredReason.RECORDING);
+    }
+  }
+
+  /**
+   * Handle a change in the player state.
+   * This is called on player events, and when the progress threshold should have been met.
+   * It adds the tracks to the list of explored tracks when the progress
+   * threshold is met.
+   * @returns {void}
+   */
+  function handleStates() {
+    // The context may have changed, which changes whether discovery mode is active.
+    syncBarButtonState();
+    // If a track isn't playing or discovery mode isn't active, the current state would be null.
+    const state = readPlayerState();
+    const sameState = previousPlayerState?.timestamp === state?.timestamp;
+
+    // The progress of the ongoing stretch of playback, which hasn't been added to the total yet.
+    let roughTrackProgress = 0;
+    // How long the previous state was played for, used to know how far into the track it got.
+    let stretchProgress = 0;
+
+    if (previousPlayerState?.is_playing) {
+      if (sameState) {
+        // A track is playing, keep computing it's rough progress.
+        // This is to ensure that long running songs are still saved.
+        roughTrackProgress = Date.now() - check(previousPlayerState.timestamp);
+        stretchProgress = roughTrackProgress;
+      } else if (state !== null) {
+        // Some event has transpired. Perhaps the song has been paused, progressed or changed.
+        // In all of these cases we want to add to the track's total progress.
+        // This is the actual play time.
+        const accurateProgress = check(state.timestamp) - check(previousPlayerState.timestamp);
+        totalTrackProgress += accurateProgress;
+        stretchProgress = accurateProgress;
+        log(
+          Level.TRACE,
+          `Added accurate progress: ${accurateProgress / 1000}. Total: ${
+            totalTrackProgress / 1000
+          }.`
+        );
+      } else {
+        // If we don't have it, the track played until now.
+        const roughProgress = Date.now() - check(previousPlayerState.timestamp);
+        totalTrackProgress += roughProgress;
+        stretchProgress = roughProgress;
+        log(
+          Level.TRACE,
+          `Added rough progress: ${roughProgress / 1000}. Total: ${totalTrackProgress / 1000}.`
+        );
+      }
+
+      const remaining = getRemainingUntilExplored(
+        previousPlayerState,
+        roughTrackProgress + totalTrackProgress,
+        previousPlayerState.position_at_ts + stretchProgress
+      );
+      if (!trackJustSaved && remaining <= 0) {
+        log(Level.TRACE, "Threshold met, saving track.");
+        const { id } = previousPlayerState.trackURI;
+        if (markTrackAsExplored(id, true, previousPlayerState.collections)) {
+          addHistoryEntry(HistoryKind.MARK, id);
+        }
+        trackJustSaved = true;
+      }
+    }
+
+    if (!sameState && state?.trackURI.id !== previousPlayerState?.trackURI.id) {
+      log(Level.TRACE, "Track changed. Resetting values.");
+      if (previousPlayerState != null) {
+        recordTrackListen(previousPlayerState.trackURI.id, totalTrackProgress);
+      }
+      totalTrackProgress = 0;
+      trackJustSaved = false;
+      restoreVolume();
+
+      if (state != null && bypassedTrackIDs.delete(state.trackURI.id)) {
+        log(Level.TRACE, "New track was played deliberately, leaving it as is.");
+        endSkipStreak();
+      } else if (state != null) {
+        const reason = getExploredReason(state.trackURI.id, state.collections);
+        if (reason === null && isMatchingEnabled()) {
+          handleEquivalentRecording(state);
+        } else if (reason === null) {
+          endSkipStreak();
+        } else if (reason !== ExploredReason.BLOCKED) {
+          handleExploredTrack(state, reason);
+        } else if (recordAutoSkip(state)) {
+          log(Level.TRACE, "New track is blocked, changing tracks.");
+          Spicetify.Player.next();
+        }
+      }
+    }
+
+    previousPlayerState = state;
+    scheduleThresholdCheck();
+    syncNowPlayingIndicator();
+  }
+
+  /**
+   * Start tracking the player.
+   * States are handled whenever the track changes, is played or paused, or is seeked.
+   * These events are also added to the trace being recorded.
+   * @returns {void}
+   */
+  function startTracking() {
+    ["songchange", "onplaypause"].forEach((type) => {
+      Spicetify.Player.addEventListener(type, () => {
+        recordTraceEvent(type);
+        handleStates();
+      });
+    });
+    // Progress events are frequent, only seeks change the player state's timestamp.
+    Spicetify.Player.addEventListener("onprogress", () => {
+      if (Spicetify.Player.data?.timestamp !== previousPlayerState?.timestamp) {
+        recordTraceEvent("onprogress");
+        handleStates();
+      }
+      syncNowPlayingIndicator();
+    });
+    handleStates();
+  }
+
+  // #endregion
+
+  // #region Queue Filter
+
+  // Spotify updates the queue a little after the track changes.
+  const queueFilterDelayMS = 500;
+  let queueFilterTimeout = null;
+  let isFilteringQueue = false;
+  // Whether Spotify reports changes to the queue, the queue isn't filtered without them.
+  let hasQueueEvents = true;
+  /**
+   * How many explored tracks were removed from the upcoming tracks of a context.
+   * @type {{ contextURI: string | null, count: number }}
+   */
+  let contextFilterCount = { contextURI: null, count: 0 };
+
+  /**
+   * Filter the queue once it has settled. Filters scheduled in a row only run once.
+   * @returns {void}
+   */
+  function scheduleQueueFilter() {
+    clearTimeout(queueFilterTimeout);
+    queueFilterTimeout = setTimeout(filterQueue, queueFilterDelayMS);
+  }
+
+  /**
+   * Get how many explored tracks were removed from the upcoming tracks of the current context.
+   * @returns {number}
+   */
+  function getContextFilterCount() {
+    const contextURI = Spicetify.Player.data?.context_uri || null;
+    return contextFilterCount.contextURI === contextURI ? contextFilterCount.count : 0;
+  }
+
+  /**
+   * Check whether the settings filter anything out of the queue.
+   * @returns {boolean}
+   */
+  function isQueueFilterEnabled() {
+    return queueFilter.context || queueFilter.queued !== QueuedTrackAction.KEEP;
+  }
+
+  /**
+   * Check whether an upcoming track counts as explored, and would be acted on once it plays.
+   * @param {Spicetify.ContextTrack} track The upcoming track.
+   * @returns {boolean}
+   */
+  function isUpcomingTrackExplored(track) {
+    const { id } = Spicetify.URI.fromString(track.uri);
+    return !bypassedTrackIDs.has(id) && getExploredReason(id, getTrackCollections(track)) !== null;
+  }
+
+  /**
+   * Remove the upcoming explored tracks of the context from the queue, and remove or move back
+   * the ones the user queued, as chosen in the settings.
+   * Only tracks explored by their ID, artist or album are found, as recordings are looked up
+   * when a track plays.
+   * @returns {Promise<void>}
+   */
+  async function filterQueue() {
+    if (isFilteringQueue || !hasQueueEvents || !isQueueFilterEnabled() || !isDiscoveryActive()) {
+      return;
+    }
+
+    const upcoming = getUpcomingTracks();
+    const queued = upcoming.filter(({ provider }) => provider === "queue");
+    // Tracks which weren't queued by the user come from the context, or from autoplay after it.
+    const fromContext = upcoming.filter(({ provider }) => provider !== "queue");
+
+    const removedFromContext = queueFilter.context
+      ? fromContext.filter(isUpcomingTrackExplored)
+      : [];
+    let removedFromQueue = [];
+    let moved = [];
+    if (queueFilter.queued === QueuedTrackAction.REMOVE) {
+      removedFromQueue = queued.filter(isUpcomingTrackExplored);
+    } else if (queueFilter.queued === QueuedTrackAction.MOVE_TO_END) {
+      // Explored tracks which are already behind every unexplored one are left where they are,
+      // or they would be moved again every time the queue changes.
+      const lastUnexplored = queued.map(isUpcomingTrackExplored).lastIndexOf(false);
+      if (lastUnexplored !== -1) {
+        moved = queued.slice(0, lastUnexplored).filter(isUpcomingTrackExplored);
+      }
+    }
+    const removed = [...removedFromContext, ...removedFromQueue, ...moved];
+    if (removed.length === 0) {
+      return;
+    }
+
+    isFilteringQueue = true;
+    try {
+      await Spicetify.removeFromQueue(removed.map(({ uri, uid }) => ({ uri, uid })));
+      if (moved.length > 0) {
+        await Spicetify.addToQueue(moved.map(({ uri }) => ({ uri })));
+      }
+      const contextURI = Spicetify.Player.data?.context_uri || null;
+      contextFilterCount = {
+        contextURI,
+        count: getContextFilterCount() + removedFromContext.length,
+      };
+      // The count of the current context is shown in the settings, instead of a notification
+      // every time the queue changes.
+      syncQueueFilterInputs();
+      log(
+        Level.INFO,
+        `Filtered the queue: removed ${removedFromContext.length} context and ` +
+          `${removedFromQueue.length} queued explored track(s), moved ${moved.length}, ` +
+          `${contextFilterCount.count} removed from this context so far.`
+      );
+    } catch (e) {
+      log(Level.ERROR, "Couldn't filter the explored tracks out of the queue", e);
+    } finally {
+      isFilteringQueue = false;
+    }
+  }
+
+  /**
+   * Start filtering the queue whenever it or the explored tracks change.
+   * The queue events come from the player API, the filter is turned off in the settings when
+   * this version of Spotify doesn't have them.
+   * @returns {void}
+   */
+  function startQueueFilter() {
+    const events = Spicetify.Platform?.PlayerAPI?.getEvents?.();
+    if (typeof events?.addListener !== "function") {
+      // Only worth a warning when the queue was meant to be filtered.
+      log(
+        isQueueFilterEnabled() ? Level.WARNING : Level.DEBUG,
+        "Spotify doesn't report changes to the queue, it won't be filtered"
+      );
+      hasQueueEvents = false;
+      syncQueueFilterInputs();
+      return;
+    }
+
+    events.addListener("queue_update", scheduleQueueFilter);
+    Spicetify.Player.addEventListener("songchange", scheduleQueueFilter);
+    onExploredChange(scheduleQueueFilter);
+    scheduleQueueFilter();
+  }
+
+  // #endregion
+
+  // #region Playbar Button
+
+  const disabledLabel = "Enable discovery mode";
+  const enabledLabel = "Disable discovery mode";
+  const inactiveLabel = "Disable discovery mode (inactive in this context)";
+  const snoozedLabel = "Disable discovery mode (snoozed)";
+  const barButton = new Spicetify.Playbar.Button(
+    enabledLabel,
+    "search",
+    onBarButtonPress,
+    false,
+    true,
+    false
+  );
+
+  /**
+   * Toggle the enabled state..
+   * @param {Spicetify.Playbar.Button} self
+   * @returns {void}
+   */
+  function onBarButtonPress() {
+    isEnabled = !isEnabled;
+    isEnabledByHotkey = false;
+    syncEnabledData();
+    // Tracking starts or stops right away, instead of on the next player event.
+    handleStates();
+  }
+
+  /**
+   * Toggle discovery mode with its hotkey, whose action is used until it's toggled again.
+   * @returns {void}
+   */
+  function onDiscoveryHotkeyPress() {
+    onBarButtonPress();
+    isEnabledByHotkey = isEnabled;
+  }
+
+  /**
+   * Toggle gentle mode, which uses a different action for explored tracks.
+   * @returns {void}
+   */
+  function toggleGentleMode() {
+    isGentle = !isGentle;
+    Spicetify.showNotification(`Gentle mode ${isGentle ? "enabled" : "disabled"}.`);
+  }
+
+  /**
+   * Changes the button label and active status based on isEnabled, and whether discovery mode
+   * is snoozed or active in the current context.
+   * @returns {void}
+   */
+  function syncBarButtonState() {
+    const isActive = isDiscoveryActive();
+    barButton.active = isActive;
+    let label = disabledLabel;
+    if (isActive) {
+      label = enabledLabel;
+    } else if (isEnabled) {
+      label = isSnoozed() ? snoozedLabel : inactiveLabel;
+    }
+    barButton.label = `${label}${getProfileSuffix()}`;
+  }
+
+  // #endregion
+
+  // #region Current Track
+
+  const snoozeMS = 30 * 60 * 1000;
+  let snoozedUntil = 0;
+  let snoozeTimeout = null;
+
+  /**
+   * Check whether discovery mode is snoozed.
+   * @returns {boolean}
+   */
+  function isSnoozed() {
+    return Date.now() < snoozedUntil;
+  }
+
+  /**
+   * Snooze discovery mode for a while, or end the snooze early.
+   * @returns {void}
+   */
+  function toggleSnooze() {
+    clearTimeout(snoozeTimeout);
+    if (isSnoozed()) {
+      snoozedUntil = 0;
+      Spicetify.showNotification("Discovery mode is back.");
+    } else {
+      snoozedUntil = Date.now() + snoozeMS;
+      snoozeTimeout = setTimeout(handleStates, snoozeMS);
+      Spicetify.showNotification(`Discovery mode snoozed for ${snoozeMS / 60000} minutes.`);
+    }
+    handleStates();
+  }
+
+  /**
+   * Get the current track in the player.
+   * @returns {Spicetify.PlayerTrack | null} null if the player isn't playing a track.
+   */
+  function getCurrentTrack() {
+    const track = Spicetify.Player.data?.track;
+    if (track == null || !Spicetify.URI.isTrack(track.uri)) {
+      Spicetify.showNotification("No track is playing.");
+      return null;
+    }
+    return track;
+  }
+
+  /**
+   * Mark the current track as explored, and skip it.
+   * @returns {void}
+   */
+  function markCurrentAndSkip() {
+    const track = getCurrentTrack();
+    if (track === null) {
+      return;
+    }
+
+    const { id } = Spicetify.URI.fromString(track.uri);
+    if (markTrackAsExplored(id, true, getTrackCollections(track))) {
+      addHistoryEntry(HistoryKind.MARK, id);
+    }
+    Spicetify.Player.next();
+  }
+
+  /**
+   * Mark the current track as unexplored. It isn't marked again while it keeps playing.
+   * @returns {void}
+   */
+  function unmarkCurrent() {
+    const track = getCurrentTrack();
+    if (track === null) {
+      return;
+    }
+
+    unmarkTrackAsExplored(Spicetify.URI.fromString(track.uri).id);
+    trackJustSaved = true;
+    scheduleThresholdCheck();
+    Spicetify.showNotification("Marked as unexplored.");
+  }
+
+  /**
+   * Undo a mark or auto-skip by marking its track as unexplored.
+   * A skipped track is played again, and the track which is playing isn't marked again.
+   * @param {HistoryEntry} entry The mark or auto-skip.
+   * @returns {Promise<void>}
+   */
+  async function undoHistoryEntry(entry) {
+    if (entry.isUndone) {
+      return;
+    }
+
+    const { kind, id, uri, uid, contextURI } = entry;
+    log(Level.INFO, `Undoing the ${kind} of track: ${id}`);
+    entry.isUndone = true; // eslint-disable-line no-param-reassign
+    syncHistoryInputs();
+    unmarkTrackAsExplored(id);
+
+    const isPlaying = previousPlayerState?.trackURI.id === id;
+    if (kind === HistoryKind.MARK) {
+      if (isPlaying) {
+        trackJustSaved = true;
+        scheduleThresholdCheck();
+      }
+      Spicetify.showNotification(`Marked ${entry.name ?? "the track"} as unexplored.`);
+      return;
+    }
+
+    // Fast-forwarded tracks are still playing.
+    if (isPlaying) {
+      restoreVolume();
+      Spicetify.Player.seek(0);
+      return;
+    }
+
+    bypassTrack(id);
+    try {
+      if (contextURI !== null) {
+        await Spicetify.Player.playUri(contextURI, {}, { skipTo: { uri, uid } });
+      } else {
+        await Spicetify.Player.playUri(uri);
+      }
+    } catch (e) {
+      log(Level.ERROR, "Couldn't go back to the skipped track", e);
+    }
+  }
+
+  /**
+   * Undo the last mark or auto-skip which hasn't been undone yet.
+   * @returns {Promise<void>}
+   */
+  async function undoLastHistoryEntry() {
+    const entry = sessionHistory.find(({ isUndone }) => !isUndone);
+    if (entry === undefined) {
+      Spicetify.showNotification("No track has been marked or skipped.");
+      return;
+    }
+    await undoHistoryEntry(entry);
+  }
+
+  // #endregion
+
+  // #region Context Menu
+
+  const containerTypes = [
+    Spicetify.URI.Type.ALBUM,
+    Spicetify.URI.Type.ARTIST,
+    Spicetify.URI.Type.PLAYLIST,
+    Spicetify.URI.Type.PLAYLIST_V2,
+    Spicetify.URI.Type.COLLECTION,
+  ];
+  /**
+   * The tracks of the albums, artists and playlists which were fetched when they were marked or
+   * unmarked, by their URI.
+   * @type {Map<string, string[]>}
+   */
+  const containerTrackIDs = new Map();
+
+  /**
+   * Check whether a context menu selection is one album, artist or playlist.
+   * @param {string[]} uris The selected URIs.
+   * @returns {boolean}
+   */
+  function isContainerSelection(uris) {
+    return uris.length === 1 && containerTypes.includes(Spicetify.URI.fromString(uris[0]).type);
+  }
+
+  /**
+   * Get the explored status of a context menu selection.
+   * The status of albums, artists and playlists isn't known until their tracks are fetched, which
+   * happens when they're marked or unmarked.
+   * @param {string[]} uris The selected URIs.
+   * @returns {"explored" | "unexplored" | "mixed" | "unknown" | null} null if the selection
+   * isn't supported.
+   */
+  function getSelectionStatus(uris) {
+    const selected = uris.map((uri) => Spicetify.URI.fromString(uri));
+
+    let ids = null;
+    if (isContainerSelection(uris)) {
+      ids = containerTrackIDs.get(uris[0]);
+      if (ids === undefined) {
+        return "unknown";
+      }
+    } else if (
+      selected.length === 0 ||
+      selected.some(({ type }) => type !== Spicetify.URI.Type.TRACK)
+    ) {
+      return null;
+    } else {
+      ids = selected.map(({ id }) => id);
+    }
+
+    const exploredCount = ids.filter((id) => findTrackEntry(id) !== undefined).length;
+    if (exploredCount === ids.length) {
+      return "explored";
+    }
+    return exploredCount === 0 ? "unexplored" : "mixed";
+  }
+
+  /**
+   * Mark or unmark all tracks contained in a context menu selection.
+   * @param {string[]} uris The selected URIs.
+   * @param {boolean} explored Whether to mark the tracks as explored or unexplored.
+   * @returns {Promise<void>}
+   */
+  async function markSelection(uris, explored) {
+    let ids = null;
+    try {
+      ids = await getTrackIDs(uris);
+    } catch (e) {
+      log(Level.ERROR, "Couldn't get the selected tracks", e);
+      return;
+    }
+    if (isContainerSelection(uris)) {
+      containerTrackIDs.set(uris[0], ids);
+    }
+
+    if (explored) {
+      markTracksAsExplored(ids);
+      Spicetify.showNotification(`Marked ${ids.length} track(s) as explored.`);
+    } else {
+      unmarkTracksAsExplored(ids);
+      Spicetify.showNotification(`Marked ${ids.length} track(s) as unexplored.`);
+    }
+  }
+
+  // Unmarks the selection when all of it is explored, and marks it otherwise. Its name and icon
+  // are changed as the menu opens.
+  const markMenuItem = new Spicetify.ContextMenu.Item(
+    "Mark as explored",
+    (uris) => markSelection(uris, getSelectionStatus(uris) !== "explored"),
+    (uris) => {
+      const status = getSelectionStatus(uris);
+      if (status === null) {
+        return false;
+      }
+
+      const isExplored = status === "explored";
+      markMenuItem.name = isExplored ? "Mark as unexplored" : "Mark as explored";
+      markMenuItem.icon = isExplored ? "x" : "check";
+      return true;
+    },
+    "check"
+  );
+
+  // Until the tracks of an album, artist or playlist are fetched, it may already be explored, so
+  // it can be unmarked too.
+  const unmarkContainerMenuItem = new Spicetify.ContextMenu.Item(
+    "Mark as unexplored",
+    (uris) => markSelection(uris, false),
+    (uris) => getSelectionStatus(uris) === "unknown",
+    "x"
+  );
+
+  /**
+   * Get the URI of a single selected item of the provided types.
+   * @param {string[]} uris The selected URIs.
+   * @param {string[]} types The URI types which can be selected.
+   * @returns {string | null} null if the selection isn't a single item of the types.
+   */
+  function getSelectedURI(uris, types) {
+    if (uris.length !== 1) {
+      return null;
+    }
+
+    const { type } = Spicetify.URI.fromString(uris[0]);
+    return types.includes(type) ? uris[0] : null;
+  }
+
+  /**
+   * Create context menu items which add a selected URI to a list, or remove it.
+   * @param {Object} options
+   * @param {string[]} options.types The URI types which can be added to the list.
+   * @param {() => CollectionItem[]} options.getList Gets the list.
+   * @param {(uri: string, add: boolean) => Promise<void>} options.setListed Adds the URI to the
+   * list, or removes it.
+   * @param {[string, string]} options.names The names of the items which add and remove.
+   * @param {[Spicetify.Icon, Spicetify.Icon]} options.icons The icons of the items.
+   * @returns {Spicetify.ContextMenu.Item[]}
+   */
+  function createListMenuItems({ types, getList, setListed, names, icons }) {
+    const isListed = (uris) => includesCollection(getList(), uris[0]);
+    return [
+      new Spicetify.ContextMenu.Item(
+        names[0],
+        (uris) => setListed(uris[0], true),
+        (uris) => getSelectedURI(uris, types) !== null && !isListed(uris),
+        icons[0]
+      ),
+      new Spicetify.ContextMenu.Item(
+        names[1],
+        (uris) => setListed(uris[0], false),
+        (uris) => getSelectedURI(uris, types) !== null && isListed(uris),
+        icons[1]
+      ),
+    ];
+  }
+
+  const collectionTypes = [Spicetify.URI.Type.ARTIST, Spicetify.URI.Type.ALBUM];
+  const playlistTypes = [Spicetify.URI.Type.PLAYLIST, Spicetify.URI.Type.PLAYLIST_V2];
+
+  const listMenuItems = [
+    ...createListMenuItems({
+      types: collectionTypes,
+      getList: () => collectionRules.explored,
+      setListed: (uri, add) => setCollectionListed("explored", uri, add),
+      names: ["Always treat as explored", "Stop treating as explored"],
+      icons: ["check", "x"],
+    }),
+    ...createListMenuItems({
+      types: collectionTypes,
+      getList: () => collectionRules.blocked,
+      setListed: (uri, add) => setCollectionListed("blocked", uri, add),
+      names: ["Add to blocklist", "Remove from blocklist"],
+      icons: ["block", "block"],
+    }),
+    ...createListMenuItems({
+      types: playlistTypes,
+      getList: () => contextRules.included,
+      setListed: (uri, add) => setContextListed("included", uri, add),
+      names: ["Include in discovery mode", "Stop including in discovery mode"],
+      icons: ["search", "x"],
+    }),
+    ...createListMenuItems({
+      types: playlistTypes,
+      getList: () => contextRules.excluded,
+      setListed: (uri, add) => setContextListed("excluded", uri, add),
+      names: ["Exclude from discovery mode", "Stop excluding from discovery mode"],
+      icons: ["block", "x"],
+    }),
+  ];
+
+  // #endregion
+
+  // #region Badges
+
+  const trackRowSelector = ".main-trackList-trackListRow";
+  // Holds the pages with tracklists, it stays in place as the pages change.
+  const mainViewSelector = ".Root__main-view";
+  const badgeClass = "explore-badge";
+  const badgeStyle = document.createElement("style");
+  badgeStyle.textContent = `
+  .${badgeClass} {
+    color: var(--spice-button);
+    display: inline-flex;
+    flex-shrink: 0;
+    margin-inline: 6px;
+    vertical-align: middle;
+  }
+  .explore-now-playing {
+    align-items: center;
+    color: var(--spice-subtext);
+    display: inline-flex;
+    font-size: 0.75rem;
+    gap: 4px;
+    margin-inline-start: 12px;
+    white-space: nowrap;
+  }
+  .explore-now-playing.explored {
+    color: var(--spice-button);
+  }
+  .explore-now-playing[hidden] {
+    display: none;
+  }`;
+  const checkIcon = `<svg height="12" width="12" viewBox="0 0 16 16" fill="currentColor">
+    ${Spicetify.SVGIcons.check}
+  </svg>`;
+  let isDecorationQueued = false;
+  /**
+   * The rows added since the tracklists were last decorated. null when every row has to be
+   * checked, such as when tracks were marked.
+   * @type {Set<Element> | null}
+   */
+  let pendingRows = new Set();
+
+  /**
+   * Check whether a track is explored, and hasn't expired.
+   * @param {string} id The ID of the track.
+   * @returns {boolean}
+   */
+  function isTrackExplored(id) {
+    const entry = findTrackEntry(id);
+    return entry !== undefined && !isTrackExpired(entry);
+  }
+
+  /**
+   * Find the ID of the track shown in a tracklist row.
+   * @param {Element} row The row.
+   * @returns {string | null} null if the row isn't for a track.
+   */
+  function getRowTrackID(row) {
+    const href = row.querySelector('a[href*="/track/"]')?.getAttribute("href");
+    const match = href?.match(/\/track\/([a-zA-Z0-9]+)/);
+    if (match) {
+      return match[1];
+    }
+
+    // Rows without a link to their track, such as album rows, are labelled by elements whose IDs
+    // contain its URI. (eg: "listrow-title-track-spotify:track:<id>-0")
+    const labelledBy =
+      row.getAttribute("aria-labelledby") ??
+      row.querySelector("[aria-labelledby]")?.getAttribute("aria-labelledby");
+    return labelledBy?.match(/spotify:track:([a-zA-Z0-9]+)/)?.[1] ?? null;
+  }
+
+  /**
+   * Add a badge to a tracklist row if its track is explored, and remove it otherwise.
+   * The badge keeps the ID of the track, as Spotify reuses rows for other tracks as they scroll.
+   * @param {Element} row The row.
+   * @returns {void}
+   */
+  function decorateTrackRow(row) {
+    const id = getRowTrackID(row);
+    /** @type {HTMLElement | null} */
+    const badge = row.querySelector(`.${badgeClass}`);
+    const isExplored = id !== null && isTrackExplored(id);
+    if (isExplored && badge !== null) {
+      badge.dataset.trackId = id;
+    } else if (isExplored) {
+      const title = row.querySelector(".main-trackList-rowTitle");
+      const newBadge = document.createElement("span");
+      newBadge.classList.add(badgeClass);
+      newBadge.dataset.trackId = id;
+      newBadge.title = "Explored";
+      newBadge.innerHTML = checkIcon;
+      if (title !== null) {
+        title.insertAdjacentElement("afterend", newBadge);
+      } else {
+        row.appendChild(newBadge);
+      }
+    } else if (!isExplored && badge !== null) {
+      badge.remove();
+    }
+  }
+
+  /**
+   * Decorate the rows added since the last decoration, or every row if they all have to be
+   * checked.
+   * @returns {void}
+   */
+  function decorateTrackRows() {
+    isDecorationQueued = false;
+    const rows = pendingRows ?? document.querySelectorAll(trackRowSelector);
+    pendingRows = new Set();
+    rows.forEach(decorateTrackRow);
+  }
+
+  /**
+   * Decorate tracklist rows on the next frame, once the DOM has settled.
+   * @param {Element[] | null} [rows] The rows to decorate, null to check every row.
+   * @returns {void}
+   */
+  function queueTrackRowDecoration(rows = null) {
+    if (rows === null) {
+      pendingRows = null;
+    } else if (pendingRows !== null) {
+      rows.forEach((row) => pendingRows.add(row));
+    }
+
+    if (!isDecorationQueued) {
+      isDecorationQueued = true;
+      requestAnimationFrame(decorateTrackRows);
+    }
+  }
+
+  /**
+   * Queue the tracklist rows which were rendered or changed for decoration. Rows with a badge
+   * for their track are left alone, but rows which were reused for another track are checked
+   * again.
+   * @param {MutationRecord[]} records The changes to the main view.
+   * @returns {void}
+   */
+  function handleMainViewMutations(records) {
+    const rows = new Set();
+    records.forEach(({ type, target, addedNodes }) => {
+      if (type === "attributes") {
+        const row = /** @type {Element} */ (target).closest(trackRowSelector);
+        if (row !== null) {
+          rows.add(row);
+        }
+        return;
+      }
+
+      addedNodes.forEach((node) => {
+        if (!(node instanceof HTMLElement) || node.classList.contains(badgeClass)) {
+          return;
+        }
+        const row = node.closest(trackRowSelector);
+        if (row !== null) {
+          rows.add(row);
+        }
+        node.querySelectorAll(trackRowSelector).forEach((child) => rows.add(child));
+      });
+    });
+
+    const undecorated = [...rows].filter((row) => {
+      /** @type {HTMLElement | null} */
+      const badge = row.querySelector(`.${badgeClass}`);
+      return badge === null || badge.dataset.trackId !== getRowTrackID(row);
+    });
+    if (undecorated.length > 0) {
+      queueTrackRowDecoration(undecorated);
+    }
+  }
+
+  /**
+   * Watch the main view for tracklist rows as they render.
+   * The main view may not have rendered yet when the extension starts, so it's waited for.
+   * @returns {void}
+   */
+  function observeMainView() {
+    const mainView = document.querySelector(mainViewSelector);
+    if (mainView === null) {
+      setTimeout(observeMainView, retryWaitMS);
+      return;
+    }
+
+    new MutationObserver(handleMainViewMutations).observe(mainView, {
+      childList: true,
+      subtree: true,
+      // Reused rows change the link and labels of their track.
+      attributes: true,
+      attributeFilter: ["href", "aria-labelledby"],
+    });
+    queueTrackRowDecoration();
+  }
+
+  const nowPlayingIndicator = document.createElement("span");
+  nowPlayingIndicator.classList.add("explore-now-playing");
+  nowPlayingIndicator.hidden = true;
+
+  /**
+   * Compute how close the current track is to meeting the explored criteria.
+   * @returns {number | null} A fraction between 0 and 1, null if it can't be known.
+   */
+  function getExploredProgress() {
+    const state = previousPlayerState;
+    if (state === null) {
+      return null;
+    }
+
+    const roughProgress = state.is_playing ? Date.now() - state.timestamp : 0;
+    const remaining = getRemainingUntilExplored(
+      state,
+      totalTrackProgress + roughProgress,
+      state.position_at_ts + roughProgress
+    );
+    const needed = getRemainingUntilExplored(state, 0, 0);
+    if (!Number.isFinite(needed) || needed <= 0) {
+      return null;
+    }
+    return Math.min(Math.max(1 - remaining / needed, 0), 1);
+  }
+
+  /**
+   * Update the indicator next to the current track, showing whether it's explored or how close
+   * it is to being explored. It is hidden when discovery mode isn't active.
+   * @returns {void}
+   */
+  function syncNowPlayingIndicator() {
+    if (!nowPlayingIndicator.isConnected) {
+      const nowPlaying = document.querySelector(".main-nowPlayingWidget-nowPlaying");
+      if (nowPlaying === null) {
+        return;
+      }
+      nowPlaying.appendChild(nowPlayingIndicator);
+    }
+
+    const state = previousPlayerState;
+    const isExplored = state !== null && (trackJustSaved || isTrackExplored(state.trackURI.id));
+    const progress = isExplored ? 1 : getExploredProgress();
+    nowPlayingIndicator.hidden = state === null || progress === null;
+    nowPlayingIndicator.classList.toggle("explored", isExplored);
+    // It's synced on every progress event, only replace the contents when they change.
+    const percent = String(Math.floor((progress ?? 0) * 100));
+    if (nowPlayingIndicator.dataset.percent === percent) {
+      return;
+    }
+
+    nowPlayingIndicator.dataset.percent = percent;
+    if (isExplored) {
+      nowPlayingIndicator.innerHTML = `${checkIcon} Explored`;
+      nowPlayingIndicator.title = "This track has been explored.";
+    } else {
+      nowPlayingIndicator.textContent = `${percent}% explored`;
+      nowPlayingIndicator.title = "How close this track is to being explored.";
+    }
+  }
+
+  /**
+   * Show the explored badges, and keep them updated as tracklists render and tracks are marked.
+   * @returns {void}
+   */
+  function startBadges() {
+    document.head.appendChild(badgeStyle);
+    observeMainView();
+    onExploredChange(() => {
+      queueTrackRowDecoration();
+      syncNowPlayingIndicator();
+    });
+  }
+
+  // #endregion
+
+  // #region Explored Browser
+
+  const { React } = Spicetify;
+  const browserPageSize = 100;
+
+  /**
+   * Enum for the orders of the explored tracks browser.
+   * @readonly
+   * @enum {string}
+   */
+  const BrowserSort = {
+    DATE: "date",
+    ARTIST: "artist",
+  };
+
+  const browserStyle = `
+  .explored-browser {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    padding: 0 16px 16px;
+  }
+  .explored-browser .toolbar {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+  }
+  .explored-browser input,
+  .explored-browser select {
+    background-color: rgba(var(--spice-rgb-shadow), .7);
+    color: var(--spice-text);
+    border: 1px solid #727272;
+    border-radius: 4px;
+    padding: 6px 8px;
+  }
+  .explored-browser input[type="search"] {
+    flex: 1;
+  }
+  .explored-browser button {
+    background-color: transparent;
+    border: 1px solid #727272;
+    border-radius: 500px;
+    color: var(--spice-text);
+    cursor: pointer;
+    padding: 4px 12px;
+  }
+  .explored-browser button:disabled {
+    cursor: default;
+    opacity: .5;
+  }
+  .explored-browser .track {
+    align-items: center;
+    display: flex;
+    gap: 8px;
+  }
+  .explored-browser .track img,
+  .explored-browser .track .placeholder {
+    border-radius: 4px;
+    flex-shrink: 0;
+    height: 40px;
+    width: 40px;
+  }
+  .explored-browser .track .details {
+    flex: 1;
+    min-width: 0;
+  }
+  .explored-browser .track .details div {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .explored-browser .track .subdued {
+    color: var(--spice-subtext);
+    font-size: small;
+  }`;
+
+  /**
+   * Get the text which the browser search is matched against.
+   * @param {TrackEntry} entry The explored track.
+   * @returns {string}
+   */
+  function getSearchableText(entry) {
+    const metadata = trackMetadata.get(entry.id);
+    if (metadata === undefined) {
+      return entry.id.toLowerCase();
+    }
+
+    const artists = metadata.artists.map((artist) => artist.name).join(" ");
+    return `${entry.id} ${metadata.name} ${artists} ${metadata.albumName}`.toLowerCase();
+  }
+
+  /**
+   * Compare explored tracks by the name of their first artist.
+   * Tracks without metadata are put last.
+   * @param {TrackEntry} a
+   * @param {TrackEntry} b
+   * @returns {number}
+   */
+  function compareByArtist(a, b) {
+    const artistA = trackMetadata.get(a.id)?.artists[0]?.name;
+    const artistB = trackMetadata.get(b.id)?.artists[0]?.name;
+    if (artistA === undefined || artistB === undefined) {
+      return Number(artistA === undefined) - Number(artistB === undefined);
+    }
+    return artistA.localeCompare(artistB);
+  }
+
+  /**
+   * Play an explored track, without it being acted on.
+   * @param {string} id The ID of the track.
+   * @returns {void}
+   */
+  function playExploredTrack(id) {
+    bypassTrack(id);
+    Spicetify.Player.playUri(`spotify:track:${id}`).catch((e) => {
+      log(Level.ERROR, "Couldn't play the track", e);
+    });
+  }
+
+  /**
+   * Add explored tracks to the queue, without them being acted on when they play.
+   * @param {string[]} ids The IDs of the tracks.
+   * @returns {void}
+   */
+  function queueExploredTracks(ids) {
+    ids.forEach(bypassTrack);
+    Spicetify.addToQueue(ids.map((id) => ({ uri: `spotify:track:${id}` })))
+      .then(() => Spicetify.showNotification(`Added ${ids.length} track(s) to the queue.`))
+      .catch((e) => log(Level.ERROR, "Couldn't add the tracks to the queue", e));
+  }
+
+  /**
+   * A panel which lists the explored tracks.
+   * @returns {*} The React element.
+   */
+  function ExploredBrowser() {
+    const [entries, setEntries] = React.useState(() => [...exploredTracks.values()]);
+    const [metadataVersion, setMetadataVersion] = React.useState(0);
+    const [query, setQuery] = React.useState("");
+    const [sortBy, setSortBy] = React.useState(BrowserSort.DATE);
+    const [selected, setSelected] = React.useState(() => new Set());
+    const [visibleCount, setVisibleCount] = React.useState(browserPageSize);
+
+    React.useEffect(() => onExploredChange(() => setEntries([...exploredTracks.values()])), []);
+
+    React.useEffect(() => {
+      let active = true;
+      fetchTrackMetadata(
+        entries.map((entry) => entry.id),
+        () => {
+          if (active) {
+            setMetadataVersion((version) => version + 1);
+          }
+          return active;
+        }
+      ).catch((e) => log(Level.ERROR, "Couldn't fetch the explored tracks", e));
+      return () => {
+        active = false;
+      };
+    }, [entries]);
+
+    const shown = React.useMemo(() => {
+      const lowerQuery = query.trim().toLowerCase();
+      const matching = entries.filter((entry) => getSearchableText(entry).includes(lowerQuery));
+      if (sortBy === BrowserSort.ARTIST) {
+        return matching.sort(compareByArtist);
+      }
+      return matching.sort((a, b) => b.exploredAt - a.exploredAt);
+    }, [entries, query, sortBy, metadataVersion]);
+
+    const toggleSelected = (id) => {
+      const newSelected = new Set(selected);
+      if (!newSelected.delete(id)) {
+        newSelected.add(id);
+      }
+      setSelected(newSelected);
+    };
+
+    const unmarkSelected = () => {
+      unmarkTracksAsExplored([...selected]);
+      Spicetify.showNotification(`Marked ${selected.size} track(s) as unexplored.`);
+      setSelected(new Set());
+    };
+
+    const renderTrack = (entry) => {
+      const metadata = trackMetadata.get(entry.id);
+      const image = metadata?.imageURL
+        ? React.createElement("img", { src: metadata.imageURL, alt: "" })
+        : React.createElement("div", { className: "placeholder" });
+
+      return React.createElement(
+        "li",
+        { className: "track", key: entry.id },
+        React.createElement("input", {
+          type: "checkbox",
+          checked: selected.has(entry.id),
+          onChange: () => toggleSelected(entry.id),
+          "aria-label": "Select track",
+        }),
+        image,
+        React.createElement(
+          "div",
+          { className: "details" },
+          React.createElement("div", null, metadata?.name ?? entry.id),
+          React.createElement(
+            "div",
+            { className: "subdued" },
+            metadata?.artists.map((artist) => artist.name).join(", ") ?? "Loading..."
+          ),
+          React.createElement(
+            "div",
+            { className: "subdued" },
+            `Explored ${new Date(entry.exploredAt).toLocaleDateString()}`
+          )
+        ),
+        React.createElement(
+          "button",
+          { type: "button", onClick: () => playExploredTrack(entry.id) },
+          "Play"
+        ),
+        React.createElement(
+          "button",
+          { type: "button", onClick: () => queueExploredTracks([entry.id]) },
+          "Queue"
+        )
+      );
+    };
+
+    return React.createElement(
+      "div",
+      { className: "explored-browser" },
+      React.createElement("style", null, browserStyle),
+      React.createElement(
+        "div",
+        { className: "toolbar" },
+        React.createElement("input", {
+          type: "search",
+          placeholder: "Search explored tracks",
+          value: query,
+          onChange: (event) => {
+            setQuery(event.target.value);
+            setVisibleCount(browserPageSize);
+          },
+        }),
+        React.createElement(
+          "select",
+          { value: sortBy, onChange: (event) => setSortBy(event.target.value) },
+          React.createElement("option", { value: BrowserSort.DATE }, "Newest first"),
+          React.createElement("option", { value: BrowserSort.ARTIST }, "By artist")
+        )
+      ),
+      React.createElement(
+        "div",
+        { className: "toolbar" },
+        React.createElement(
+          "button",
+          {
+            type: "button",
+            onClick: () => setSelected(new Set(shown.map((entry) => entry.id))),
+          },
+          "Select all"
+        ),
+        React.createElement(
+          "button",
+          { type: "button", disabled: selected.size === 0, onClick: () => setSelected(new Set()) },
+          "Select none"
+        ),
+        React.createElement(
+          "button",
+          { type: "button", disabled: selected.size === 0, onClick: unmarkSelected },
+          `Unmark ${selected.size}`
+        ),
+        React.createElement(
+          "button",
+          {
+            type: "button",
+            disabled: selected.size === 0,
+            onClick: () => queueExploredTracks([...selected]),
+          },
+          `Queue ${selected.size}`
+        )
+      ),
+      React.createElement("div", { className: "subdued" }, `${shown.length} track(s)`),
+      React.createElement(
+        "ul",
+        { className: "tracks" },
+        shown.slice(0, visibleCount).map(renderTrack)
+      ),
+      visibleCount < shown.length &&
+        React.createElement(
+          "button",
+          { type: "button", onClick: () => setVisibleCount(visibleCount + browserPageSize) },
+          "Show more"
+        )
+    );
+  }
+
+  // The panel API is only available in recent versions of Spicetify.
+  const browserPanel = Spicetify.Panel?.registerPanel
+    ? Spicetify.Panel.registerPanel({
+        label: "Explored Tracks",
+        children: React.createElement(ExploredBrowser),
+      })
+    : null;
+
+  /**
+   * Open or close the explored tracks browser.
+   * @returns {void}
+   */
+  function toggleBrowserPanel() {
+    if (browserPanel === null) {
+      Spicetify.showNotification("The explored tracks browser needs a newer version of Spicetify.");
+      return;
+    }
+    browserPanel.toggle();
+  }
+
+  // #endregion
+
+  // #region Statistics
+
+  const statisticsDays = 14;
+  const statisticsWeeks = 8;
+  const topArtistCount = 5;
+
+  /**
+   * @typedef {Object} PeriodCount
+   * @property {number} start When the period started (ms since epoch).
+   * @property {number} count How many tracks were explored during the period.
+   */
+
+  /**
+   * @typedef {Object} DiscoveryStatistics
+   * @property {PeriodCount[]} perDay The tracks explored on each recent day, oldest first.
+   * @property {PeriodCount[]} perWeek The tracks explored in each recent week, oldest first.
+   * @property {number} autoSkips How many times explored tracks were skipped automatically.
+   * @property {number} skippedMS The listening time saved by skipping.
+   * @property {{ uri: string, count: number }[]} topArtists The artists with the most explored
+   * tracks, most explored first.
+   * @property {number} queueLength How many tracks are in the upcoming queue.
+   * @property {number} queueExplored How many of those tracks are already explored.
+   */
+
+  /**
+   * Find when the day containing a moment started, in local time.
+   * @param {number} time The moment (ms since epoch).
+   * @returns {number} The start of the day (ms since epoch).
+   */
+  function getStartOfDay(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  /**
+   * Count the entries which were explored in each period, for a number of consecutive periods.
+   * @param {TrackEntry[]} entries The explored track entries.
+   * @param {number[]} starts When each period started, in ascending order. The last one ends now.
+   * @returns {PeriodCount[]} The counts of the periods.
+   */
+  function countPerPeriod(entries, starts) {
+    const counts = starts.map((start) => ({ start, count: 0 }));
+    entries.forEach((entry) => {
+      for (let i = counts.length - 1; i >= 0; i -= 1) {
+        if (entry.exploredAt >= counts[i].start) {
+          counts[i].count += 1;
+          return;
+        }
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Compute the discovery statistics.
+   * @param {TrackEntry[]} entries The explored track entries.
+   * @param {string[]} queueIDs The IDs of the tracks in the upcoming queue.
+   * @param {number} now The current time (ms since epoch).
+   * @returns {DiscoveryStatistics}
+   */
+  function computeStatistics(entries, queueIDs, now) {
+    // Days are stepped through with dates rather than by adding milliseconds, because of DST.
+    const dayStarts = [];
+    for (let i = statisticsDays - 1; i >= 0; i -= 1) {
+      const date = new Date(getStartOfDay(now));
+      date.setDate(date.getDate() - i);
+      dayStarts.push(date.getTime());
+    }
+
+    const thisWeek = new Date(getStartOfDay(now));
+    thisWeek.setDate(thisWeek.getDate() - ((thisWeek.getDay() + 6) % 7));
+    const weekStarts = [];
+    for (let i = statisticsWeeks - 1; i >= 0; i -= 1) {
+      const date = new Date(thisWeek);
+      date.setDate(date.getDate() - i * 7);
+      weekStarts.push(date.getTime());
+    }
+
+    const artistCounts = new Map();
+    entries.forEach((entry) => {
+      entry.artistURIs?.forEach((uri) => artistCounts.set(uri, (artistCounts.get(uri) ?? 0) + 1));
+    });
+    const topArtists = [...artistCounts]
+      .map(([uri, count]) => ({ uri, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, topArtistCount);
+
+    // Expired tracks would play again, so they don't count as explored in the queue.
+    const exploredIDs = new Set(
+      entries.filter((entry) => !isTrackExpired(entry)).map((entry) => entry.id)
+    );
+    return {
+      perDay: countPerPeriod(entries, dayStarts),
+      perWeek: countPerPeriod(entries, weekStarts),
+      autoSkips: entries.reduce((total, entry) => total + entry.skipCount, 0),
+      skippedMS: entries.reduce((total, entry) => total + (entry.skippedMS ?? 0), 0),
+      topArtists,
+      queueLength: queueIDs.length,
+      queueExplored: queueIDs.filter((id) => exploredIDs.has(id)).length,
+    };
+  }
+
+  /**
+   * Get the IDs of the tracks in the upcoming queue.
+   * @returns {string[]}
+   */
+  function getQueueTrackIDs() {
+    return getUpcomingTracks().map(({ uri }) => Spicetify.URI.fromString(uri).id);
+  }
+
+  /**
+   * Format a duration for display, such as "3 h 12 min".
+   * @param {number} ms The duration.
+   * @returns {string}
+   */
+  function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) {
+      return `${minutes} min`;
+    }
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+
+  const statisticsStyle = `
+  .discovery-statistics h3 {
+    font-size: 16px;
+    margin: 16px 0 8px;
+  }
+  .discovery-statistics .totals {
+    display: grid;
+    gap: 8px;
+    grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+  }
+  .discovery-statistics .total strong {
+    display: block;
+    font-size: 24px;
+  }
+  .discovery-statistics .bars {
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+  }
+  .discovery-statistics .bar-row {
+    align-items: center;
+    display: flex;
+    gap: 8px;
+  }
+  .discovery-statistics .bar-row > span:first-child {
+    width: 110px;
+  }
+  .discovery-statistics .bar {
+    background-color: var(--spice-button);
+    height: 10px;
+    min-width: 1px;
+  }
+  .discovery-statistics .subdued {
+    color: var(--spice-subtext);
+  }`;
+
+  /**
+   * Create the rows of a bar chart of explored tracks.
+   * @param {PeriodCount[]} periods The periods to show, oldest first.
+   * @param {(start: number) => string} label Creates the label of a period.
+   * @returns {*} The React element.
+   */
+  function createPeriodBars(periods, label) {
+    const max = Math.max(1, ...periods.map((period) => period.count));
+    return React.createElement(
+      "div",
+      { className: "bars" },
+      [...periods].reverse().map((period) =>
+        React.createElement(
+          "div",
+          { className: "bar-row", key: period.start },
+          React.createElement("span", { className: "subdued" }, label(period.start)),
+          React.createElement("div", {
+            className: "bar",
+            style: { width: `${(period.count / max) * 60}%` },
+          }),
+          React.createElement("span", null, String(period.count))
+        )
+      )
+    );
+  }
+
+  /**
+   * A view of how well discovery mode is working.
+   * @returns {*} The React element.
+   */
+  function DiscoveryStatisticsView() {
+    const [version, setVersion] = React.useState(0);
+    const [artistNames, setArtistNames] = React.useState(() => new Map());
+
+    React.useEffect(() => {
+      const refresh = () => setVersion((value) => value + 1);
+      const removeListener = onExploredChange(refresh);
+      Spicetify.Player.addEventListener("songchange", refresh);
+      return () => {
+        removeListener();
+        Spicetify.Player.removeEventListener("songchange", refresh);
+      };
+    }, []);
+
+    const statistics = React.useMemo(
+      () => computeStatistics([...exploredTracks.values()], getQueueTrackIDs(), Date.now()),
+      [version]
+    );
+
+    React.useEffect(() => {
+      let active = true;
+      const missing = statistics.topArtists.filter((artist) => !artistNames.has(artist.uri));
+      Promise.all(missing.map(async ({ uri }) => [uri, await getCollectionName(uri)])).then(
+        (names) => {
+          if (active && names.length > 0) {
+            setArtistNames((previous) => new Map([...previous, ...names]));
+          }
+        },
+        (e) => log(Level.ERROR, "Couldn't fetch the top artists", e)
+      );
+      return () => {
+        active = false;
+      };
+    }, [statistics]);
+
+    const total = (value, description) =>
+      React.createElement(
+        "div",
+        { className: "total" },
+        React.createElement("strong", null, value),
+        React.createElement("span", { className: "subdued" }, description)
+      );
+    const queuePercent =
+      statistics.queueLength === 0
+        ? 0
+        : Math.round((statistics.queueExplored / statistics.queueLength) * 100);
+
+    return React.createElement(
+      "div",
+      { className: "discovery-statistics" },
+      React.createElement("style", null, statisticsStyle),
+      React.createElement(
+        "div",
+        { className: "totals" },
+        total(String(exploredTracks.size), "tracks explored"),
+        total(String(statistics.autoSkips), "auto-skips performed"),
+        total(formatDuration(statistics.skippedMS), "saved by skipping"),
+        total(
+          `${queuePercent}%`,
+          `of the queue explored (${statistics.queueExplored}/${statistics.queueLength})`
+        )
+      ),
+      React.createElement("h3", null, "Explored per day"),
+      createPeriodBars(statistics.perDay, (start) => new Date(start).toLocaleDateString()),
+      React.createElement("h3", null, "Explored per week"),
+      createPeriodBars(
+        statistics.perWeek,
+        (start) => `From ${new Date(start).toLocaleDateString()}`
+      ),
+      React.createElement("h3", null, "Top discovered artists"),
+      statistics.topArtists.length === 0
+        ? React.createElement(
+            "div",
+            { className: "subdued" },
+            "Artists are known once tracks are explored while playing."
+          )
+        : React.createElement(
+            "ol",
+            null,
+            statistics.topArtists.map((artist) =>
+              React.createElement(
+                "li",
+                { key: artist.uri },
+                `${artistNames.get(artist.uri) ?? "Loading..."} (${artist.count} track(s))`
+              )
+            )
+          )
+    );
+  }
+
+  const statisticsContainer = document.createElement("div");
+  let statisticsObserver = null;
+
+  /**
+   * Unmount the statistics view once its modal is hidden, so that it stops listening for changes.
+   * Spotify doesn't report when a modal is hidden, but its content is removed from the page.
+   * @returns {void}
+   */
+  function unmountStatisticsWhenHidden() {
+    statisticsObserver?.disconnect();
+    let wasShown = statisticsContainer.isConnected;
+    const observer = new MutationObserver(() => {
+      if (statisticsContainer.isConnected) {
+        wasShown = true;
+      } else if (wasShown) {
+        observer.disconnect();
+        statisticsObserver = null;
+        Spicetify.ReactDOM.unmountComponentAtNode(statisticsContainer);
+      }
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+    statisticsObserver = observer;
+  }
+
+  /**
+   * Open the discovery statistics modal.
+   * @returns {void}
+   */
+  function openStatistics() {
+    Spicetify.ReactDOM.render(React.createElement(DiscoveryStatisticsView), statisticsContainer);
+    Spicetify.PopupModal.display({
+      title: "Discovery Statistics",
+      content: statisticsContainer,
+      isLarge: true,
+    });
+    unmountStatisticsWhenHidden();
+  }
+
+  // #endregion
+
+  // #region Options Menu - Common
+
+  const settingsContent = document.createElement("div");
+  const style = document.createElement("style");
+  style.innerHTML = `
+  .main-trackCreditsModal-container {
+    width: auto !important;
+    background-color: var(--spice-player) !important;
+  }
+
+  .setting-row::after {
+    content: "";
+    display: table;
+    clear: both;
+  }
+  .setting-row {
+    display: flex;
+    padding: 10px 0;
+    align-items: center;
+    justify-content: space-between;
+  }
+  .setting-row[hidden] {
+    display: none;
+  }
+  .setting-row .col.description {
+    float: left;
+    padding-right: 15px;
+    width: 100%;
+  }
+  .setting-row .col.action {
+    float: right;
+    text-align: right;
+  }
+  .hotkey-row .col.description {
+    width: 50%;
+  }
+  .hotkey-row .col.action {
+    width: 50%;
+    white-space: nowrap;
+  }
+  .hotkey-row .col.key {
+    width: auto;
+    white-space: nowrap;
+  }
+  .hotkey-row .col.action button {
+    margin-left: 8px;
+  }
+  button.switch {
+    align-items: center;
+    border: 0px;
+    border-radius: 50%;
+    background-color: rgba(var(--spice-rgb-shadow), .7);
+    color: var(--spice-text);
+    cursor: pointer;
+    display: flex;
+    margin-inline-start: 12px;
+    padding: 8px;
+  }
+  button.switch.disabled,
+  button.switch[disabled] {
+    color: rgba(var(--spice-rgb-text), .3);
+  }
+  button.reset {
+    font-weight: 700;
+    font-size: medium;
+    background-color: transparent;
+    border-radius: 500px;
+    transition-duration: 33ms;
+    transition-property: background-color, border-color, color, box-shadow, filter, transform;
+    padding-inline: 15px;
+    border: 1px solid #727272;
+    color: var(--spice-text);
+    min-block-size: 32px;
+    cursor: pointer;
+  }
+  button.reset:hover {
+    transform: scale(1.04);
+    border-color: var(--spice-text);
+  }
+  .setting-row select,
+  .setting-row input {
+    background-color: rgba(var(--spice-rgb-shadow), .7);
+    color: var(--spice-text);
+    border: 1px solid #727272;
+    border-radius: 4px;
+    padding: 6px 8px;
+  }
+  .setting-row input[type="number"] {
+    width: 80px;
+  }
+  .setting-row input[type="text"],
+  .setting-row input[type="date"] {
+    margin-right: 8px;
+  }
+  .hotkey-message {
+    color: var(--spice-notification-error, var(--spice-text));
+    margin-bottom: 8px;
+  }
+  .hotkey-message[hidden] {
+    display: none;
+  }
+  kbd {
+    color: var(--spice-text);
+    font-weight: 700;
+    font-size: large;
+    background-color: transparent;
+    border-radius: 3px;
+    border: 1px solid #727272;
+    display: inline-block;
+    padding: 2px 6px;
+  }`;
+  settingsContent.appendChild(style);
+
+  /**
+   * Creates a setting row with a button.
+   * @param {string} text - The text to display on the button.
+   * @param {string} description - The description to display in the row.
+   * @param {*} callback - The callback to call when the button is pressed.
+   * @returns {HTMLDivElement} The created row.
+   */
+  function createButtonRow(text, description, callback) {
+    const container = document.createElement("div");
+    container.classList.add("setting-row");
+
+    container.innerHTML = `
+    <label class="col description">${description}</label>
+    <div class="col action"><button class="reset">${text}</button></div>
+    `;
+
+    const button = check(container.querySelector("button.reset"));
+    button.onclick = callback;
+    return container;
+  }
+
+  /**
+   * Creates a setting row with a text input and a button.
+   * @param {string} text - The text to display on the button.
+   * @param {string} description - The description to display in the row.
+   * @param {string} placeholder - The placeholder of the text input.
+   * @param {(value: string) => void} callback - The callback to call with the text when the
+   * button is pressed.
+   * @returns {HTMLDivElement} The created row.
+   */
+  function createTextButtonRow(text, description, placeholder, callback) {
+    const container = createButtonRow(text, description, () => {});
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = placeholder;
+
+    const action = check(container.querySelector(".col.action"));
+    action.prepend(input);
+    check(container.querySelector("button.reset")).onclick = () => callback(input.value.trim());
+    return container;
+  }
+
+  /**
+   * Creates a setting row with a switch.
+   * @param {string} description - The description to display in the row.
+   * @param {(enabled: boolean) => void} callback - The callback to call when the switch is
+   * toggled, with its new state.
+   * @returns {HTMLDivElement} The created row.
+   */
+  function createToggleRow(description, callback) {
+    const container = document.createElement("div");
+    container.classList.add("setting-row");
+
+    container.innerHTML = `
+    <label class="col description">${description}</label>
+    <div class="col action"><button class="switch disabled">
+      <svg height="16" width="16" viewBox="0 0 16 16" fill="currentColor">
+        ${Spicetify.SVGIcons.check}
+      </svg>
+    </button></div>
+    `;
+
+    const button = check(container.querySelector("button.switch"));
+    button.onclick = () => callback(button.classList.contains("disabled"));
+    return container;
+  }
+
+  /**
+   * Show whether a switch created by createToggleRow is on.
+   * @param {HTMLElement} row The row of the switch.
+   * @param {boolean} enabled Whether the switch is on.
+   * @returns {void}
+   */
+  function setToggleRow(row, enabled) {
+    check(row.querySelector("button.switch")).classList.toggle("disabled", !enabled);
+  }
+
+  /**
+   * Creates a setting row with a dropdown.
+   * @param {string} description - The description to display in the row.
+   * @param {Object<string, string>} options - The labels of the options, keyed by their values.
+   * @param {(value: string) => void} callback - The callback to call when an option is chosen.
+   * @returns {HTMLDivElement} The created row.
+   */
+  function createSelectRow(description, options, callback) {
+    const container = document.createElement("div");
+    container.classList.add("setting-row");
+
+    const optionsHTML = Object.entries(options)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join("");
+    container.innerHTML = `
+    <label class="col description">${description}</label>
+    <div class="col action"><select>${optionsHTML}</select></div>
+    `;
+
+    const select = check(container.querySelector("select"));
+    select.onchange = () => callback(select.value);
+    return container;
+  }
+
+  /**
+   * Creates a setting row with a number input.
+   * @param {string} description - The description to display in the row.
+   * @param {(value: number) => boolean} callback - The callback to call when the number is
+   * changed. It should return whether or not the number was accepted.
+   * @param {() => number} getValue - Gets the current value, used when a number is rejected.
+   * @returns {HTMLDivElement} The created row.
+   */
+  function createNumberRow(description, callback, getValue) {
+    const container = document.createElement("div");
+    container.classList.add("setting-row");
+
+    container.innerHTML = `
+    <label class="col description">${description}</label>
+    <div class="col action"><input type="number" min="0"></div>
+    `;
+
+    const input = check(container.querySelector("input"));
+    input.onchange = () => {
+      const accepted = input.value !== "" && callback(Number(input.value));
+      if (!accepted) {
+        Spicetify.showNotification(`${input.value} is not a valid value.`);
+        input.value = String(getValue());
+      }
+    };
+    return container;
+  }
+
+  // #endregion
+
+  // #region Options Menu - Profiles
+
+  const profilesHeader = document.createElement("h2");
+  profilesHeader.innerText = "Profiles";
+  settingsContent.appendChild(profilesHeader);
+
+  const profileRow = createSelectRow("Profile in use", {}, async (id) => {
+    await switchProfile(id);
+    // Shows the active profile again if switching failed.
+    syncProfileInputs();
+  });
+  const newProfileRow = createTextButtonRow(
+    "Create",
+    "Create a profile with the current settings and no explored tracks.",
+    "Name",
+    addProfile
+  );
+  const deleteProfileRow = createButtonRow(
+    "Delete",
+    "Delete this profile, with its explored tracks and settings.",
+    deleteActiveProfile
+  );
+
+  /**
+   * Create a profile with the name the user entered, and switch to it.
+   * @param {string} name The name of the profile.
+   * @returns {Promise<void>}
+   */
+  async function addProfile(name) {
+    const profile = createProfile(name);
+    if (profile === null) {
+      Spicetify.showNotification("Enter a name which isn't used by another profile.");
+      return;
+    }
+    check(newProfileRow.querySelector("input")).value = "";
+    await switchProfile(profile.id);
+  }
+
+  /**
+   * Delete the active profile, and switch to the default one.
+   * @returns {Promise<void>}
+   */
+  async function deleteActiveProfile() {
+    const { id, name } = getActiveProfile();
+    await deleteProfile(id);
+    if (profileSettings.active !== id) {
+      Spicetify.showNotification(`Deleted the ${name} profile.`);
+    }
+  }
+
+  settingsContent.appendChild(profileRow);
+  settingsContent.appendChild(newProfileRow);
+  settingsContent.appendChild(deleteProfileRow);
+
+  /**
+   * Update the profile inputs to show the current profiles.
+   * @returns {void}
+   */
+  function syncProfileInputs() {
+    const select = check(profileRow.querySelector("select"));
+    select.innerHTML = "";
+    profileSettings.profiles.forEach(({ id, name }) => {
+      const option = document.createElement("option");
+      option.value = id;
+      // The name was entered by the user, don't treat it as HTML.
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = profileSettings.active;
+    deleteProfileRow.hidden = profileSettings.active === defaultProfileID;
+  }
+
+  /**
+   * Open a modal to pick the profile in use.
+   * @returns {void}
+   */
+  function openProfilePicker() {
+    const content = document.createElement("div");
+    content.appendChild(style.cloneNode(true));
+    profileSettings.profiles.forEach((profile) => {
+      const isActive = profile.id === profileSettings.active;
+      const row = createButtonRow(isActive ? "In use" : "Use", "", () => {
+        Spicetify.PopupModal.hide();
+        switchProfile(profile.id);
+      });
+      check(row.querySelector("label")).textContent = profile.name;
+      check(row.querySelector("button")).disabled = isActive;
+      content.appendChild(row);
+    });
+    content.appendChild(
+      createButtonRow("Settings", "Create or delete profiles in the settings.", openSettings)
+    );
+
+    Spicetify.PopupModal.display({ title: "Track Explorer Profiles", content });
+  }
+
+  // #endregion
+
+  // #region Options Menu - Tracking
+
+  const trackingHeader = document.createElement("h2");
+  trackingHeader.innerText = "Tracking";
+  settingsContent.appendChild(trackingHeader);
+
+  const criteriaModeLabels = {
+    [CriteriaMode.TIME]: "Playing for a number of seconds",
+    [CriteriaMode.PERCENT]: "Playing a percentage of the track",
+    [CriteriaMode.END]: "Reaching the last seconds of the track",
+  };
+  const criteriaValueLabels = {
+    [CriteriaMode.TIME]: "Seconds to play a track for.",
+    [CriteriaMode.PERCENT]: "Percentage of the track to play.",
+    [CriteriaMode.END]: "Seconds from the end of the track.",
+  };
+  const criteriaDefaultValues = {
+    [CriteriaMode.TIME]: 30,
+    [CriteriaMode.PERCENT]: 50,
+    [CriteriaMode.END]: 10,
+  };
+
+  const criteriaModeRow = createSelectRow(
+    "Mark tracks as explored after",
+    criteriaModeLabels,
+    (mode) => {
+      exploredCriteria = { mode, value: criteriaDefaultValues[mode] };
+      syncCriteriaData();
+    }
+  );
+  const criteriaValueRow = createNumberRow(
+    "",
+    (value) => {
+      const criteria = { ...exploredCriteria, value };
+      if (!validateCriteria(criteria)) {
+        return false;
+      }
+
+      exploredCriteria = criteria;
+      syncCriteriaData();
+      return true;
+    },
+    () => exploredCriteria.value
+  );
+  settingsContent.appendChild(criteriaModeRow);
+  settingsContent.appendChild(criteriaValueRow);
+
+  /**
+   * Update the explored criteria inputs to show the current criteria.
+   * @returns {void}
+   */
+  function syncCriteriaInputs() {
+    check(criteriaModeRow.querySelector("select")).value = exploredCriteria.mode;
+    check(criteriaValueRow.querySelector("input")).value = String(exploredCriteria.value);
+    check(criteriaValueRow.querySelector("label")).innerText =
+      criteriaValueLabels[exploredCriteria.mode];
+  }
+
+  const actionLabels = {
+    [ExploredAction.SKIP]: "Skip it",
+    [ExploredAction.REMOVE]: "Skip it and remove its later plays from the queue",
+    [ExploredAction.MOVE_TO_END]:
+      "Skip it and move it behind the upcoming tracks Spotify has loaded from the context, once",
+    [ExploredAction.FAST_FORWARD]: "Lower the volume and fast-forward",
+    [ExploredAction.NOTIFY]: "Only show a notification",
+  };
+
+  const normalActionRow = createSelectRow(
+    "When an explored track plays",
+    actionLabels,
+    (action) => {
+      exploredActions = { ...exploredActions, normal: action };
+      syncActionsData();
+    }
+  );
+  const gentleActionRow = createSelectRow(
+    "When an explored track plays in gentle mode",
+    actionLabels,
+    (action) => {
+      exploredActions = { ...exploredActions, gentle: action };
+      syncActionsData();
+    }
+  );
+  settingsContent.appendChild(normalActionRow);
+  settingsContent.appendChild(gentleActionRow);
+
+  /**
+   * Update the explored action inputs to show the current actions.
+   * @returns {void}
+   */
+  function syncActionInputs() {
+    check(normalActionRow.querySelector("select")).value = exploredActions.normal;
+    check(gentleActionRow.querySelector("select")).value = exploredActions.gentle;
+  }
+
+  const skipFallbackLabels = {
+    [SkipFallback.PAUSE]: "Pause",
+    [SkipFallback.LEAST_RECENT]: "Play the least recently explored track",
+    [SkipFallback.RADIO]: "Start a radio based on the last track",
+  };
+
+  /**
+   * Change the skip protection settings, if the result is valid.
+   * @param {Partial<SkipProtection>} changes The settings to change.
+   * @returns {boolean} Whether or not the settings were changed.
+   */
+  function changeSkipProtection(changes) {
+    const settings = { ...skipProtection, ...changes };
+    if (!validateSkipProtection(settings)) {
+      return false;
+    }
+
+    skipProtection = settings;
+    syncSkipProtectionData();
+    return true;
+  }
+
+  const skipCountRow = createNumberRow(
+    "Stop after this many explored tracks are skipped in a row. 0 to never stop.",
+    (count) => changeSkipProtection({ count }),
+    () => skipProtection.count
+  );
+  const skipSecondsRow = createNumberRow(
+    "Seconds the skips have to happen within.",
+    (seconds) => changeSkipProtection({ seconds }),
+    () => skipProtection.seconds
+  );
+  const skipFallbackRow = createSelectRow("After stopping", skipFallbackLabels, (fallback) =>
+    changeSkipProtection({ fallback })
+  );
+  settingsContent.appendChild(skipCountRow);
+  settingsContent.appendChild(skipSecondsRow);
+  settingsContent.appendChild(skipFallbackRow);
+
+  /**
+   * Update the skip protection inputs to show the current settings.
+   * @returns {void}
+   */
+  function syncSkipProtectionInputs() {
+    check(skipCountRow.querySelector("input")).value = String(skipProtection.count);
+    check(skipSecondsRow.querySelector("input")).value = String(skipProtection.seconds);
+    check(skipFallbackRow.querySelector("select")).value = skipProtection.fallback;
+    skipSecondsRow.hidden = skipProtection.count === 0;
+    skipFallbackRow.hidden = skipProtection.count === 0;
+  }
+
+  const expiryModeLabels = {
+    [ExpiryMode.NEVER]: "Never",
+    [ExpiryMode.FIXED]: "After a number of days",
+    [ExpiryMode.RANDOM]: "At a random time within a range of days",
+  };
+
+  /**
+   * Change the expiry settings, if the result is valid.
+   * @param {Partial<ExpirySettings>} changes The settings to change.
+   * @returns {boolean} Whether or not the settings were changed.
+   */
+  function changeExpirySettings(changes) {
+    const settings = { ...expirySettings, ...changes };
+    if (!validateExpirySettings(settings)) {
+      return false;
+    }
+
+    expirySettings = settings;
+    syncExpiryData();
+    return true;
+  }
+
+  /**
+   * Remove the explored tracks which have expired.
+   * @returns {void}
+   */
+  function pruneExpiredTracks() {
+    const expiredIDs = [...exploredTracks.values()].filter(isTrackExpired).map((entry) => entry.id);
+    unmarkTracksAsExplored(expiredIDs);
+    Spicetify.showNotification(`Removed ${expiredIDs.length} expired track(s).`);
+  }
+
+  const expiryModeRow = createSelectRow(
+    "Let explored tracks play again",
+    expiryModeLabels,
+    (mode) => changeExpirySettings({ mode })
+  );
+  const expiryDaysRow = createNumberRow(
+    "Days after a track was explored until it may play again.",
+    (days) => changeExpirySettings({ days, maxDays: Math.max(days, expirySettings.maxDays) }),
+    () => expirySettings.days
+  );
+  const expiryMaxDaysRow = createNumberRow(
+    "The most days until a track may play again, when the time is random.",
+    (maxDays) => changeExpirySettings({ maxDays }),
+    () => expirySettings.maxDays
+  );
+  settingsContent.appendChild(expiryModeRow);
+  settingsContent.appendChild(expiryDaysRow);
+  settingsContent.appendChild(expiryMaxDaysRow);
+  settingsContent.appendChild(
+    createButtonRow("Prune", "Remove the explored tracks which have expired.", pruneExpiredTracks)
+  );
+
+  /**
+   * Update the expiry inputs to show the current expiry settings.
+   * @returns {void}
+   */
+  function syncExpiryInputs() {
+    check(expiryModeRow.querySelector("select")).value = expirySettings.mode;
+    check(expiryDaysRow.querySelector("input")).value = String(expirySettings.days);
+    check(expiryMaxDaysRow.querySelector("input")).value = String(expirySettings.maxDays);
+    expiryDaysRow.hidden = expirySettings.mode === ExpiryMode.NEVER;
+    expiryMaxDaysRow.hidden = expirySettings.mode !== ExpiryMode.RANDOM;
+  }
+
+  // #endregion
+
+  // #region Options Menu - Queue
+
+  const queueHeader = document.createElement("h2");
+  queueHeader.innerText = "Queue";
+  settingsContent.appendChild(queueHeader);
+
+  const queuedTrackActionLabels = {
+    [QueuedTrackAction.KEEP]: "Leave them",
+    [QueuedTrackAction.MOVE_TO_END]: "Move them behind the other queued tracks",
+    [QueuedTrackAction.REMOVE]: "Remove them",
+  };
+
+  const queueContextRow = createToggleRow(
+    "Remove upcoming explored tracks of the playlist or album before they play.",
+    (context) => {
+      queueFilter = { ...queueFilter, context };
+      syncQueueFilterData();
+    }
+  );
+  const queueQueuedRow = createSelectRow(
+    "Upcoming explored tracks you queued yourself",
+    queuedTrackActionLabels,
+    (queued) => {
+      queueFilter = { ...queueFilter, queued };
+      syncQueueFilterData();
+    }
+  );
+  const queueCountRow = document.createElement("div");
+  queueCountRow.classList.add("setting-row");
+  queueCountRow.innerHTML = `<label class="col description"></label>`;
+  settingsContent.appendChild(queueContextRow);
+  settingsContent.appendChild(queueQueuedRow);
+  settingsContent.appendChild(queueCountRow);
+
+  /**
+   * Update the queue inputs to show the current settings, and how many tracks were filtered.
+   * @returns {void}
+   */
+  function syncQueueFilterInputs() {
+    setToggleRow(queueContextRow, queueFilter.context);
+    check(queueContextRow.querySelector("button")).disabled = !hasQueueEvents;
+    const select = check(queueQueuedRow.querySelector("select"));
+    select.value = queueFilter.queued;
+    select.disabled = !hasQueueEvents;
+    check(queueCountRow.querySelector("label")).textContent = hasQueueEvents
+      ? `${getContextFilterCount()} explored track(s) were removed from the upcoming tracks of ` +
+        "the current context."
+      : "This version of Spotify doesn't report changes to the queue, so it can't be filtered.";
+    queueCountRow.hidden = hasQueueEvents && !queueFilter.context;
+  }
+
+  // #endregion
+
+  // #region Options Menu - History
+
+  const historyHeader = document.createElement("h2");
+  historyHeader.innerText = "History";
+  settingsContent.appendChild(historyHeader);
+
+  const historyKindLabels = {
+    [HistoryKind.MARK]: "Marked as explored",
+    [HistoryKind.SKIP]: "Skipped",
+  };
+
+  const historyListDiv = document.createElement("div");
+  settingsContent.appendChild(historyListDiv);
+
+  /**
+   * Update the history to show the recent marks and auto-skips of this session.
+   * Lists every mark and auto-skip, with a button to undo it.
+   * @returns {void}
+   */
+  function syncHistoryInputs() {
+    historyListDiv.innerHTML = "";
+    if (sessionHistory.length === 0) {
+      historyListDiv.appendChild(
+        createButtonRow("Undo", "No track has been marked or skipped yet.", () => {})
+      );
+      check(historyListDiv.querySelector("button")).hidden = true;
+      return;
+    }
+
+    sessionHistory.forEach((entry) => {
+      const time = new Date(entry.time).toLocaleTimeString();
+      const row = createButtonRow(entry.isUndone ? "Undone" : "Undo", "", () =>
+        undoHistoryEntry(entry)
+      );
+      // The name comes from Spotify, don't treat it as HTML.
+      check(row.querySelector("label")).textContent = `${time} ${historyKindLabels[entry.kind]}: ${
+        entry.name ?? entry.id
+      }`;
+      check(row.querySelector("button")).disabled = entry.isUndone;
+      historyListDiv.appendChild(row);
+    });
+  }
+
+  // #endregion
+
+  // #region Options Menu - Artists and Albums
+
+  const collectionsHeader = document.createElement("h2");
+  collectionsHeader.innerText = "Artists and Albums";
+  settingsContent.appendChild(collectionsHeader);
+
+  /**
+   * Create a number row for an artist or album threshold.
+   * @param {string} description The description to display in the row.
+   * @param {"artistThreshold" | "albumThreshold"} key The threshold to change.
+   * @returns {HTMLDivElement}
+   */
+  function createThresholdRow(description, key) {
+    return createNumberRow(
+      description,
+      (value) => {
+        const rules = { ...collectionRules, [key]: value };
+        if (!validateCollectionRules(rules)) {
+          return false;
+        }
+
+        collectionRules = rules;
+        syncCollectionsData();
+        return true;
+      },
+      () => collectionRules[key]
+    );
+  }
+
+  const artistThresholdRow = createThresholdRow(
+    "Explored tracks after which an artist is explored (0 to turn off).",
+    "artistThreshold"
+  );
+  const albumThresholdRow = createThresholdRow(
+    "Explored tracks after which an album is explored (0 to turn off).",
+    "albumThreshold"
+  );
+  const collectionListsDiv = document.createElement("div");
+  settingsContent.appendChild(artistThresholdRow);
+  settingsContent.appendChild(albumThresholdRow);
+  settingsContent.appendChild(collectionListsDiv);
+
+  /**
+   * Update the artist and album inputs to show the current rules.
+   * Lists every manually explored and blocked artist and album, with a button to remove it.
+   * @returns {void}
+   */
+  function syncCollectionInputs() {
+    check(artistThresholdRow.querySelector("input")).value = String(
+      collectionRules.artistThreshold
+    );
+    check(albumThresholdRow.querySelector("input")).value = String(collectionRules.albumThreshold);
+
+    collectionListsDiv.innerHTML = "";
+    [
+      ["explored", "Always treated as explored"],
+      ["blocked", "Blocked"],
+    ].forEach(([list, label]) => {
+      collectionRules[list].forEach(({ uri, name }) => {
+        const row = createButtonRow("Remove", "", () => setCollectionListed(list, uri, false));
+        // The name comes from Spotify, don't treat it as HTML.
+        check(row.querySelector("label")).textContent = `${label}: ${name}`;
+        collectionListsDiv.appendChild(row);
+      });
+    });
+  }
+
+  // #endregion
+
+  // #region Options Menu - Recordings
+
+  const recordingsHeader = document.createElement("h2");
+  recordingsHeader.innerText = "Recordings";
+  settingsContent.appendChild(recordingsHeader);
+
+  const isrcMatchingRow = createToggleRow(
+    "Treat tracks with the same ISRC as explored when one of them is.",
+    (isrc) => {
+      matchingSettings = { ...matchingSettings, isrc };
+      syncMatchingData();
+    }
+  );
+  const titleMatchingRow = createToggleRow(
+    "Treat tracks with the same title and main artist as explored when one of them is.",
+    (titles) => {
+      matchingSettings = { ...matchingSettings, titles };
+      syncMatchingData();
+    }
+  );
+  settingsContent.appendChild(isrcMatchingRow);
+  settingsContent.appendChild(titleMatchingRow);
+
+  /**
+   * Update the matching inputs to show the current settings.
+   * @returns {void}
+   */
+  function syncMatchingInputs() {
+    setToggleRow(isrcMatchingRow, matchingSettings.isrc);
+    setToggleRow(titleMatchingRow, matchingSettings.titles);
+  }
+
+  // #endregion
+
+  // #region Options Menu - Contexts
+
+  const contextsHeader = document.createElement("h2");
+  contextsHeader.innerText = "Contexts";
+  settingsContent.appendChild(contextsHeader);
+
+  const contextModeLabels = {
+    [ContextMode.ALL]: "Everywhere",
+    [ContextMode.INCLUDE]: "Only in included playlists",
+    [ContextMode.EXCLUDE]: "Everywhere except excluded playlists",
+  };
+
+  const contextModeRow = createSelectRow(
+    "Where discovery mode is active",
+    contextModeLabels,
+    (mode) => {
+      contextRules = { ...contextRules, mode };
+      syncContextsData();
+      handleStates();
+    }
+  );
+  const contextRadiosRow = createToggleRow(
+    "Treat all radios as included or excluded.",
+    (radios) => {
+      contextRules = { ...contextRules, radios };
+      syncContextsData();
+      handleStates();
+    }
+  );
+  const contextListsDiv = document.createElement("div");
+  settingsContent.appendChild(contextModeRow);
+  settingsContent.appendChild(contextRadiosRow);
+  settingsContent.appendChild(contextListsDiv);
+
+  /**
+   * Update the context inputs to show the current rules.
+   * Lists every included and excluded context, with a button to remove it.
+   * @returns {void}
+   */
+  function syncContextInputs() {
+    check(contextModeRow.querySelector("select")).value = contextRules.mode;
+    setToggleRow(contextRadiosRow, contextRules.radios);
+    contextRadiosRow.hidden = contextRules.mode === ContextMode.ALL;
+
+    contextListsDiv.innerHTML = "";
+    [
+      ["included", "Included"],
+      ["excluded", "Excluded"],
+    ].forEach(([list, label]) => {
+      contextRules[list].forEach(({ uri, name }) => {
+        const row = createButtonRow("Remove", "", () => setContextListed(list, uri, false));
+        // The name comes from Spotify, don't treat it as HTML.
+        check(row.querySelector("label")).textContent = `${label}: ${name}`;
+        contextListsDiv.appendChild(row);
+      });
+    });
+  }
+
+  // #endregion
+
+  // #region Options Menu - Data
+
+  const header = document.createElement("h2");
+  header.innerText = "Data";
+  settingsContent.appendChild(header);
+
+  /**
+   * Create a versioned document with the explored tracks, settings and hotkeys.
+   * @returns {Object}
+   */
+  function createExportDocument() {
+    return {
+      dataVersion,
+      extensionVersion,
+      exportedAt: new Date().toISOString(),
+      profile: getActiveProfile().name,
+      settings: Object.fromEntries(exportedSettings.map(({ name, get }) => [name, get()])),
+      hotkeys: Object.fromEntries(
+        Object.entries(allHotkeys).map(([name, { combo }]) => [name, combo])
+      ),
+      tracks: [...exploredTracks.values()],
+      recordings: Object.fromEntries(recordings),
+    };
+  }
+
+  /**
+   * The contents of an export, checked and ready to be merged.
+   * @typedef {Object} ParsedImport
+   * @property {TrackEntry[]} entries The valid track entries.
+   * @property {number} invalidCount How many tracks were invalid.
+   * @property {Object | null} settings The exported settings, if any.
+   * @property {Object<string, string> | null} hotkeys The exported hotkey combos, if any.
+   * @property {Object<string, RecordingInfo> | null} recordings The exported recordings of the
+   * tracks, if any.
+   */
+
+  /**
+   * Parse exported data.
+   * Versioned documents, lists of track entries and bare lists of track IDs are accepted.
+   * @param {string} text The exported data.
+   * @returns {ParsedImport | null} null if the data isn't an export.
+   */
+  function parseImport(text) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    return parseImportDocument(parsed);
+  }
+
+  /**
+   * Parse an exported document, or a list of tracks.
+   * @param {*} parsed The parsed JSON of the export.
+   * @returns {ParsedImport | null} null if the data isn't an export.
+   */
+  function parseImportDocument(parsed) {
+    const isDocument = parsed != null && Number.isInteger(parsed.dataVersion);
+    if (isDocument && parsed.dataVersion > dataVersion) {
+      log(Level.WARNING, `The data is from a newer version (${parsed.extensionVersion})`);
+      return null;
+    }
+
+    const tracks = isDocument ? parsed.tracks : parsed;
+    if (!Array.isArray(tracks)) {
+      return null;
+    }
+
+    const entries = [];
+    const migratedAt = Date.now();
+    tracks.forEach((track) => {
+      if (areValidTrackIDs([track])) {
+        // Exports made before track history was stored.
+        entries.push(createTrackEntry(track, migratedAt));
+      } else if (isValidTrackEntry(track)) {
+        entries.push(track);
+      }
+    });
+
+    return {
+      entries,
+      invalidCount: tracks.length - entries.length,
+      settings: isDocument ? parsed.settings ?? null : null,
+      hotkeys: isDocument ? parsed.hotkeys ?? null : null,
+      recordings: isDocument && validateRecordings(parsed.recordings) ? parsed.recordings : null,
+    };
+  }
+
+  /**
+   * Restore exported settings and hotkeys. Invalid values are left out.
+   * @param {Object | null} settings The exported settings.
+   * @param {Object<string, string> | null} hotkeys The exported hotkey combos.
+   * @returns {void}
+   */
+  function restoreSettings(settings, hotkeys) {
+    exportedSettings.forEach(({ name, set, validate }) => {
+      if (validate(settings?.[name])) {
+        set(settings[name]);
+      }
+    });
+
+    Object.entries(hotkeys ?? {}).forEach(([name, combo]) => {
+      if (name in allHotkeys && validateCombo(combo)) {
+        allHotkeys[name].combo = combo;
+        syncHotkeyData(name);
+      }
+    });
+  }
+
+  /**
+   * Show what an import would change, and let the user merge it.
+   * @param {ParsedImport} parsedImport The data to import.
+   * @returns {void}
+   */
+  function previewImport(parsedImport) {
+    const {
+      entries,
+      invalidCount,
+      settings,
+      hotkeys,
+      recordings: importedRecordings,
+    } = parsedImport;
+    const ids = new Set(entries.map((entry) => entry.id));
+    const presentCount = [...ids].filter((id) => findTrackEntry(id) !== undefined).length;
+    const addedCount = ids.size - presentCount;
+
+    const content = document.createElement("div");
+    content.appendChild(style.cloneNode(true));
+    const summary = document.createElement("p");
+    summary.innerText =
+      `${addedCount} new track(s) will be added, ${presentCount} track(s) are already ` +
+      `present and ${invalidCount} track(s) are invalid.`;
+    content.appendChild(summary);
+
+    const merge = (restore) => {
+      mergeTrackEntries(entries);
+      if (importedRecordings !== null) {
+        mergeRecordings(importedRecordings);
+      }
+      if (restore) {
+        restoreSettings(settings, hotkeys);
+      }
+      Spicetify.PopupModal.hide();
+      Spicetify.showNotification(`Merged ${addedCount} new track(s) with current data.`);
+    };
+
+    content.appendChild(
+      createButtonRow("Merge", "Merge the tracks with the current data.", () => merge(false))
+    );
+    if (settings !== null || hotkeys !== null) {
+      content.appendChild(
+        createButtonRow(
+          "Merge all",
+          "Merge the tracks, and restore the exported settings and shortcuts.",
+          () => merge(true)
+        )
+      );
+    }
+
+    Spicetify.PopupModal.display({ title: "Import Explored Tracks", content });
+  }
+
+  /**
+   * Read a setting of a profile from local storage.
+   * @param {string} name The name of the setting, such as "criteria".
+   * @param {string} id The ID of the profile.
+   * @returns {*} The parsed setting, null if it isn't saved or is invalid JSON.
+   */
+  function readProfileSetting(name, id) {
+    try {
+      return JSON.parse(Spicetify.LocalStorage.get(getProfileKey(name, id)) ?? "null");
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Create a versioned document with the explored tracks and settings of every profile.
+   * @returns {Promise<Object>}
+   */
+  async function createProfilesExportDocument() {
+    const profiles = [];
+    for (let i = 0; i < profileSettings.profiles.length; i += 1) {
+      const { id, name } = profileSettings.profiles[i];
+      profiles.push({
+        name,
+        settings: Object.fromEntries(
+          exportedSettings.map((setting) => [setting.name, readProfileSetting(setting.name, id)])
+        ),
+        tracks: await readProfileTracks(id),
+        recordings: readProfileSetting("recordings", id) ?? {},
+      });
+    }
+
+    return {
+      dataVersion,
+      extensionVersion,
+      exportedAt: new Date().toISOString(),
+      hotkeys: Object.fromEntries(
+        Object.entries(allHotkeys).map(([name, { combo }]) => [name, combo])
+      ),
+      profiles,
+    };
+  }
+
+  /**
+   * The contents of one profile in an export of every profile.
+   * @typedef {Object} ProfileImport
+   * @property {string} name The name of the profile.
+   * @property {ParsedImport} parsedImport Its checked contents.
+   */
+
+  /**
+   * Parse an export of every profile.
+   * @param {string} text The exported data.
+   * @returns {ProfileImport[] | null} null if the data isn't an export of every profile.
+   */
+  function parseProfilesImport(text) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    if (!Number.isInteger(parsed?.dataVersion) || !Array.isArray(parsed.profiles)) {
+      return null;
+    }
+
+    const profileImports = [];
+    parsed.profiles.forEach((profile) => {
+      if (typeof profile?.name !== "string" || profile.name.trim() === "") {
+        return;
+      }
+      const parsedImport = parseImportDocument({
+        ...profile,
+        dataVersion: parsed.dataVersion,
+        extensionVersion: parsed.extensionVersion,
+        hotkeys: parsed.hotkeys,
+      });
+      if (parsedImport !== null) {
+        profileImports.push({ name: profile.name, parsedImport });
+      }
+    });
+    return profileImports;
+  }
+
+  /**
+   * Merge an imported profile into a profile which isn't in use.
+   * @param {string} id The ID of the profile.
+   * @param {ParsedImport} parsedImport The imported profile.
+   * @param {boolean} restore Whether to restore its settings too.
+   * @returns {Promise<void>}
+   */
+  async function mergeIntoProfile(id, parsedImport, restore) {
+    const { entries, settings, recordings: importedRecordings } = parsedImport;
+    await mergeProfileTracks(id, entries);
+    if (importedRecordings !== null) {
+      const saved = readProfileSetting("recordings", id);
+      Spicetify.LocalStorage.set(
+        getProfileKey("recordings", id),
+        JSON.stringify({ ...(validateRecordings(saved) ? saved : {}), ...importedRecordings })
+      );
+    }
+    if (!restore) {
+      return;
+    }
+
+    exportedSettings.forEach(({ name, validate }) => {
+      if (validate(settings?.[name])) {
+        Spicetify.LocalStorage.set(getProfileKey(name, id), JSON.stringify(settings[name]));
+      }
+    });
+  }
+
+  /**
+   * Show what an import of every profile would change, and let the user merge it.
+   * Profiles are matched by name, and the ones which don't exist yet are created.
+   * @param {ProfileImport[]} profileImports The profiles to import.
+   * @returns {void}
+   */
+  function previewProfilesImport(profileImports) {
+    const newCount = profileImports.filter(({ name }) => !findProfileByName(name)).length;
+    const trackCount = profileImports.reduce(
+      (total, { parsedImport }) => total + parsedImport.entries.length,
+      0
+    );
+
+    const content = document.createElement("div");
+    content.appendChild(style.cloneNode(true));
+    const summary = document.createElement("p");
+    summary.innerText =
+      `${profileImports.length} profile(s) with ${trackCount} track(s) will be merged into the ` +
+      `profiles of the same name, ${newCount} of which will be created.`;
+    content.appendChild(summary);
+
+    const merge = async (restore) => {
+      Spicetify.PopupModal.hide();
+      try {
+        for (let i = 0; i < profileImports.length; i += 1) {
+          const { name, parsedImport } = profileImports[i];
+          const profile = check(findProfileByName(name) ?? createProfile(name));
+          if (profile.id === profileSettings.active) {
+            mergeTrackEntries(parsedImport.entries);
+            if (parsedImport.recordings !== null) {
+              mergeRecordings(parsedImport.recordings);
+            }
+            if (restore) {
+              restoreSettings(parsedImport.settings, null);
+            }
+          } else {
+            await mergeIntoProfile(profile.id, parsedImport, restore);
+          }
+        }
+        if (restore) {
+          restoreSettings(null, profileImports[0]?.parsedImport.hotkeys ?? null);
+        }
+        Spicetify.showNotification(`Merged ${profileImports.length} profile(s).`);
+      } catch (e) {
+        log(Level.ERROR, "Couldn't import the profiles", e);
+      }
+    };
+
+    content.appendChild(
+      createButtonRow("Merge", "Merge the tracks with the current data.", () => merge(false))
+    );
+    content.appendChild(
+      createButtonRow(
+        "Merge all",
+        "Merge the tracks, and restore the exported settings and shortcuts.",
+        () => merge(true)
+      )
+    );
+
+    Spicetify.PopupModal.display({ title: "Import Profiles", content });
+  }
+
+  /**
+   * Show what importing exported data would change, whether it's of one profile or all of them.
+   * @param {string} text The exported data.
+   * @returns {boolean} Whether or not the data is an export.
+   */
+  function previewAnyImport(text) {
+    const profileImports = parseProfilesImport(text);
+    if (profileImports !== null) {
+      previewProfilesImport(profileImports);
+      return true;
+    }
+
+    const parsedImport = parseImport(text);
+    if (parsedImport === null) {
+      return false;
+    }
+    previewImport(parsedImport);
+    return true;
+  }
+
+  /**
+   * Make the browser download a file.
+   * @param {string} contents The contents of the file.
+   * @param {string} fileName The name of the file.
+   * @param {string} type The MIME type of the file.
+   * @returns {void}
+   */
+  function downloadFile(contents, fileName, type) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = fileName;
+    anchor.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Get the name of an exported file, which includes today's date.
+   * @param {string} extension The extension of the file.
+   * @param {string} [prefix] What the file contains.
+   * @returns {string}
+   */
+  function getExportFileName(extension, prefix = "explored-tracks") {
+    return `${prefix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  /**
+   * Escape a value for use as a CSV field.
+   * @param {string | number} value
+   * @returns {string}
+   */
+  function toCSVField(value) {
+    const string = String(value);
+    return /[",\n\r]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+  }
+
+  /**
+   * Create a CSV document of the explored tracks, including their metadata.
+   * @returns {Promise<string>}
+   */
+  async function createCSV() {
+    await fetchTrackMetadata([...exploredTracks.keys()]);
+
+    const headerRow = [
+      "id",
+      "name",
+      "artists",
+      "album",
+      "explored_at",
+      "last_heard_at",
+      "listen_time_seconds",
+      "skip_count",
+      "skipped_seconds",
+    ];
+    const rows = [...exploredTracks.values()].map((entry) => {
+      const metadata = trackMetadata.get(entry.id);
+      return [
+        entry.id,
+        metadata?.name ?? "",
+        metadata?.artists.map((artist) => artist.name).join(", ") ?? "",
+        metadata?.albumName ?? "",
+        new Date(entry.exploredAt).toISOString(),
+        new Date(entry.lastHeardAt).toISOString(),
+        Math.round(entry.listenTimeMS / 1000),
+        entry.skipCount,
+        Math.round((entry.skippedMS ?? 0) / 1000),
+      ];
+    });
+    return [headerRow, ...rows].map((row) => row.map(toCSVField).join(",")).join("\r\n");
+  }
 
   /**
    * Copy the current explored tracks to the clipboard.
    * @returns {Promise<void>}
    */
   async function exportItems() {
-    const data = JSON.stringify(exploredTracks, null, 2);
+    const data = JSON.stringify(createExportDocument(), null, 2);
     await Spicetify.Platform.ClipboardAPI.copy(data);
     Spicetify.showNotification("Copied explored tracks to clipboard.");
   }
@@ -706,32 +6737,79 @@
    * @returns {Promise<void>}
    */
   async function importItems() {
-    const newData = await Spicetify.Platform.ClipboardAPI.paste();
-    let parsedData = null;
+    if (!previewAnyImport(await Spicetify.Platform.ClipboardAPI.paste())) {
+      Spicetify.showNotification(
+        "The clipboard contains invalid JSON, did you export tracks first?"
+      );
+    }
+  }
+
+  /**
+   * Download the current explored tracks, settings and hotkeys as a JSON file.
+   * @returns {void}
+   */
+  function downloadItems() {
+    const data = JSON.stringify(createExportDocument(), null, 2);
+    downloadFile(data, getExportFileName("json"), "application/json");
+  }
+
+  /**
+   * Download the explored tracks and settings of every profile as a JSON file.
+   * @returns {Promise<void>}
+   */
+  async function downloadAllProfiles() {
     try {
-      parsedData = JSON.parse(newData);
+      const data = JSON.stringify(await createProfilesExportDocument(), null, 2);
+      downloadFile(
+        data,
+        getExportFileName("json", "explored-tracks-all-profiles"),
+        "application/json"
+      );
     } catch (e) {
-      // ignore
+      log(Level.ERROR, "Couldn't read the explored tracks of every profile", e);
     }
+  }
 
-    if (areValidTrackIDs(parsedData)) {
-      exploredTracks = [...new Set([...exploredTracks, ...parsedData])];
-      syncExploredData();
-      Spicetify.showNotification("Merged new tracks with current data.");
-    } else {
-      Spicetify.showNotification(
-        "The clipboard contains invalid JSON, did you export tracks first?"
-      );
+  /**
+   * Download the current explored tracks and their metadata as a CSV file.
+   * @returns {Promise<void>}
+   */
+  async function downloadItemsAsCSV() {
+    Spicetify.showNotification("Fetching track details...");
+    try {
+      downloadFile(await createCSV(), getExportFileName("csv"), "text/csv");
+    } catch (e) {
+      log(Level.ERROR, "Couldn't fetch the track details", e);
     }
   }
 
+  /**
+   * Let the user pick an exported file, and merge its tracks with the current data.
+   * @returns {void}
+   */
+  function loadItemsFromFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.onchange = async () => {
+      const file = input.files?.[0];
+      if (file == null) {
+        return;
+      }
+
+      if (!previewAnyImport(await file.text())) {
+        Spicetify.showNotification(`${file.name} isn't an export of explored tracks.`);
+      }
+    };
+    input.click();
+  }
+
   /**
    * Clear all explored tracks data.
    * @returns {void}
    */
   function clearItems() {
-    exploredTracks = [];
-    syncExploredData();
+    clearExploredTracks();
     Spicetify.showNotification("Cleared all tracks.");
   }
 
@@ -745,25 +6823,238 @@
       importItems
     )
   );
+  settingsContent.appendChild(
+    createButtonRow(
+      "Download",
+      "Save explored tracks, settings and shortcuts to a file.",
+      downloadItems
+    )
+  );
+  settingsContent.appendChild(
+    createButtonRow(
+      "Download all profiles",
+      "Save the explored tracks and settings of every profile to a file.",
+      downloadAllProfiles
+    )
+  );
+  settingsContent.appendChild(
+    createButtonRow(
+      "Download CSV",
+      "Save explored tracks and their details to a spreadsheet.",
+      downloadItemsAsCSV
+    )
+  );
+  settingsContent.appendChild(
+    createButtonRow(
+      "Load from file",
+      "Merge the explored tracks from a downloaded file with the current data.",
+      loadItemsFromFile
+    )
+  );
   settingsContent.appendChild(
     createButtonRow("Clear ", "Clear all explored tracks data.", clearItems)
   );
 
   // #endregion
 
+  // #region Options Menu - Seeding
+
+  const seedHeader = document.createElement("h2");
+  seedHeader.innerText = "Seed";
+  settingsContent.appendChild(seedHeader);
+
+  /**
+   * Seed the explored tracks from a playlist link or URI.
+   * @param {string} link The link or URI of the playlist.
+   * @returns {Promise<void>}
+   */
+  async function seedFromPlaylist(link) {
+    const playlistURI = Spicetify.URI.from(link);
+    if (playlistURI === null || !playlistTypes.includes(playlistURI.type)) {
+      Spicetify.showNotification("That isn't a link to a playlist.");
+      return;
+    }
+
+    await seedExploredTracks("the playlist", (onProgress) =>
+      getPlaylistTrackIDs(playlistURI.toURI(), onProgress)
+    );
+  }
+
+  settingsContent.appendChild(
+    createButtonRow("Seed", "Mark all of your Liked Songs as explored.", () =>
+      seedExploredTracks("Liked Songs", getLikedTrackIDs)
+    )
+  );
+  settingsContent.appendChild(
+    createButtonRow("Seed", "Mark your recently played tracks as explored.", () =>
+      seedExploredTracks("recently played tracks", getRecentTrackIDs)
+    )
+  );
+  settingsContent.appendChild(
+    createTextButtonRow(
+      "Seed",
+      "Mark all tracks of a playlist as explored.",
+      "Playlist link",
+      seedFromPlaylist
+    )
+  );
+
+  // #endregion
+
+  // #region Options Menu - Playlists
+
+  const playlistsHeader = document.createElement("h2");
+  playlistsHeader.innerText = "Playlists";
+  settingsContent.appendChild(playlistsHeader);
+
+  /**
+   * Get the filter for a date range picked in the settings.
+   * @param {string} from The first day, as the value of a date input. May be empty.
+   * @param {string} to The last day, as the value of a date input. May be empty.
+   * @returns {(entry: TrackEntry) => boolean}
+   */
+  function getDateRangeFilter(from, to) {
+    const start = from === "" ? -Infinity : new Date(`${from}T00:00`).getTime();
+    const end = to === "" ? Infinity : new Date(`${to}T00:00`).getTime() + 24 * 60 * 60 * 1000;
+    return (entry) => entry.exploredAt >= start && entry.exploredAt < end;
+  }
+
+  const dateRangeRow = createButtonRow(
+    "Clear",
+    "Only write the tracks explored in this range of days.",
+    () => {
+      dateRangeRow.querySelectorAll("input").forEach((input) => {
+        input.value = ""; // eslint-disable-line no-param-reassign
+      });
+    }
+  );
+  check(dateRangeRow.querySelector(".col.action")).prepend(
+    ...["From", "To"].map((label) => {
+      const input = document.createElement("input");
+      input.type = "date";
+      input.title = label;
+      return input;
+    })
+  );
+
+  const writePlaylistRow = createTextButtonRow(
+    "Write",
+    "Add the explored tracks to a playlist, which is created if needed.",
+    "Playlist name",
+    async (name) => {
+      if (isWritingPlaylist) {
+        Spicetify.showNotification("A playlist is already being written, please wait.");
+        return;
+      }
+
+      const [from, to] = [...dateRangeRow.querySelectorAll("input")].map((input) => input.value);
+      const playlistName = name === "" ? getMonthlyPlaylistName(new Date()) : name;
+      isWritingPlaylist = true;
+      try {
+        const added = await writeExploredPlaylist(playlistName, getDateRangeFilter(from, to));
+        Spicetify.showNotification(`Added ${added} track(s) to ${playlistName}.`);
+      } catch (e) {
+        log(Level.ERROR, "Couldn't write the playlist", e);
+      } finally {
+        isWritingPlaylist = false;
+      }
+    }
+  );
+  check(writePlaylistRow.querySelector("input")).placeholder = getMonthlyPlaylistName(new Date());
+
+  const autoPlaylistRow = createToggleRow(
+    "Add newly explored tracks to a playlist for each month.",
+    (auto) => {
+      playlistSettings = { ...playlistSettings, auto };
+      syncPlaylistsData();
+      updateAutoPlaylist();
+    }
+  );
+
+  settingsContent.appendChild(writePlaylistRow);
+  settingsContent.appendChild(dateRangeRow);
+  settingsContent.appendChild(autoPlaylistRow);
+
+  /**
+   * Update the playlist inputs to show the current playlist settings.
+   * @returns {void}
+   */
+  function syncPlaylistInputs() {
+    setToggleRow(autoPlaylistRow, playlistSettings.auto);
+  }
+
+  // #endregion
+
+  // #region Options Menu - Sync
+
+  const remoteHeader = document.createElement("h2");
+  remoteHeader.innerText = "Sync";
+  settingsContent.appendChild(remoteHeader);
+
+  const remoteTargetLabels = {
+    [RemoteTarget.NONE]: "Don't sync",
+    [RemoteTarget.PLAYLIST]: `Through a private playlist ("${remotePlaylistName}")`,
+  };
+
+  /**
+   * Sync right away, and show what changed.
+   * @returns {Promise<void>}
+   */
+  async function syncNow() {
+    const plan = await syncWithRemote();
+    if (plan !== null) {
+      const added = plan.localAdditions.length;
+      const removed = plan.localRemovals.length;
+      Spicetify.showNotification(`Synced: ${added} track(s) added and ${removed} removed here.`);
+    }
+  }
+
+  const remoteTargetRow = createSelectRow(
+    "Share explored tracks with your other computers",
+    remoteTargetLabels,
+    setRemoteTarget
+  );
+  const syncNowRow = createButtonRow(
+    "Sync now",
+    "Merge with the explored tracks of your other computers.",
+    syncNow
+  );
+  settingsContent.appendChild(remoteTargetRow);
+  settingsContent.appendChild(syncNowRow);
+
+  /**
+   * Update the sync inputs to show the current sync state.
+   * @returns {void}
+   */
+  function syncRemoteInputs() {
+    check(remoteTargetRow.querySelector("select")).value = remoteState.target;
+    syncNowRow.hidden = remoteState.target === RemoteTarget.NONE;
+  }
+
+  // #endregion
+
   // #region Options Menu - Hotkeys
 
   /**
-   * Create the appropriate HTML for displaying a hotkey combo.
-   * @param {string} key The hotkey combo. (eg: "ctrl+shift+plus")
+   * Create the appropriate HTML for displaying a hotkey combo, or sequence of combos.
+   * @param {string} key The hotkey combo. (eg: "ctrl+shift+plus" or "g e")
    * @returns {string} The formatted HTML.
    */
   function formatKey(key) {
-    if (key === "") {
+    return key.split(" ").map(formatCombo).join(" ");
+  }
+
+  /**
+   * Create the appropriate HTML for displaying a single hotkey combo.
+   * @param {string} combo The hotkey combo. (eg: "ctrl+shift+plus")
+   * @returns {string} The formatted HTML.
+   */
+  function formatCombo(combo) {
+    if (combo === "") {
       return "";
     }
 
-    const parts = key.split("+");
+    const parts = combo.split("+");
     const hadTrailingPlus = parts[parts.length - 1] === "";
     if (hadTrailingPlus) {
       parts.pop();
@@ -787,14 +7078,144 @@
   const keyHeader = document.createElement("h2");
   keyHeader.innerText = "Shortcuts";
   keyboardDiv.appendChild(keyHeader);
+  const keyMessage = document.createElement("p");
+  keyMessage.classList.add("hotkey-message");
+  keyMessage.hidden = true;
+  keyboardDiv.appendChild(keyMessage);
 
   let targetHotkey = null;
   let stopTimeout = null;
+  // The combos of the sequence being captured.
+  let capturedCombos = [];
+
+  /**
+   * Show a message about the last hotkey change, or hide it.
+   * @param {string} message The message, empty to hide it.
+   * @returns {void}
+   */
+  function showHotkeyMessage(message) {
+    keyMessage.textContent = message;
+    keyMessage.hidden = message === "";
+  }
+
+  // Whether it was logged that Mousetrap's bindings aren't available.
+  let hasLoggedMissingBindings = false;
+
+  /**
+   * Normalize a hotkey combo, or sequence of combos, so that equal ones can be compared.
+   * Modifiers are sorted, and "mod" is the modifier it stands for on this platform.
+   * @param {string} key The hotkey combo. (eg: "shift+mod+a" or "g e")
+   * @returns {string} (eg: "ctrl+shift+a")
+   */
+  function normalizeKey(key) {
+    const modKey = isMac ? "meta" : "ctrl";
+    return key
+      .toLowerCase()
+      .split(" ")
+      .map((combo) => {
+        const parts = combo.split("+");
+        const held = parts.slice(0, -1).map((part) => (part === "mod" ? modKey : part));
+        return [...held.sort(), parts[parts.length - 1]].join("+");
+      })
+      .join(" ");
+  }
+
+  /**
+   * Check whether a combo is bound by something other than the hotkeys.
+   * Spicetify.Keyboard binds its shortcuts with Mousetrap, whose bindings are only found in a
+   * map it doesn't expose. Without it, only Spotify's own main shortcuts are known.
+   * @param {string} combo The hotkey combo.
+   * @returns {boolean}
+   */
+  function isBoundElsewhere(combo) {
+    const isOwn = Object.values(allHotkeys).some((data) => data.combo === combo);
+    if (isOwn) {
+      return false;
+    }
+
+    // Mousetrap keeps its bindings in this map as "combo:action".
+    /* eslint-disable-next-line no-underscore-dangle */
+    const directMap = /** @type {*} */ (Spicetify.Mousetrap)._directMap;
+    if (directMap == null || typeof directMap !== "object") {
+      if (!hasLoggedMissingBindings) {
+        hasLoggedMissingBindings = true;
+        log(
+          Level.DEBUG,
+          "Mousetrap's bindings aren't available, only checking Spotify's shortcuts"
+        );
+      }
+      return false;
+    }
+    return Object.keys(directMap).some(
+      (binding) => normalizeKey(binding.slice(0, binding.lastIndexOf(":"))) === normalizeKey(combo)
+    );
+  }
+
+  /**
+   * Find what a hotkey would conflict with if it used a combo.
+   * @param {string} name The name of the hotkey.
+   * @param {string} combo The hotkey combo.
+   * @returns {{ description: string, blocking: boolean } | null} What it conflicts with, and
+   * whether the combo can't be used because of it. null if there is no conflict.
+   */
+  function findHotkeyConflict(name, combo) {
+    // Mousetrap can't tell "g" apart from the start of "g e", so prefixes conflict as well.
+    const isPrefix = (a, b) => b === a || b.startsWith(`${a} `);
+    const other = Object.entries(allHotkeys).find(
+      ([otherName, data]) =>
+        otherName !== name &&
+        data.combo !== "" &&
+        (isPrefix(combo, data.combo) || isPrefix(data.combo, combo))
+    );
+    if (other !== undefined) {
+      return { description: `the "${other[1].description}" shortcut`, blocking: true };
+    }
+
+    const firstCombo = combo.split(" ")[0];
+    if (firstCombo in spotifyShortcuts) {
+      return {
+        description: `Spotify's "${spotifyShortcuts[firstCombo]}" shortcut`,
+        blocking: false,
+      };
+    }
+    if (isBoundElsewhere(combo)) {
+      return { description: "a shortcut of Spotify or another extension", blocking: false };
+    }
+    return null;
+  }
+
+  /**
+   * Change the combo of a hotkey, unless it's invalid or used by another hotkey.
+   * Shows a message when the combo isn't saved, or conflicts with other shortcuts.
+   * @param {string} name The name of the hotkey.
+   * @param {string} combo The new hotkey combo.
+   * @returns {void}
+   */
+  function changeHotkey(name, combo) {
+    const data = allHotkeys[name];
+    if (!validateCombo(combo)) {
+      showHotkeyMessage(`That isn't a valid shortcut, "${data.description}" wasn't changed.`);
+      return;
+    }
+
+    const conflict = combo === "" ? null : findHotkeyConflict(name, combo);
+    if (conflict?.blocking) {
+      showHotkeyMessage(
+        `That is already ${conflict.description}, "${data.description}" wasn't changed.`
+      );
+      return;
+    }
+
+    data.combo = combo;
+    syncHotkeyData(name);
+    showHotkeyMessage(conflict === null ? "" : `Saved, but it replaces ${conflict.description}.`);
+  }
 
   /**
    * Handle keydown and keyup events.
    * Keeps updating the display element based on the current key combination.
-   * Saves the key combo as soon as non-modifier is pressed.
+   * Every non-modifier key completes a combo of the sequence, which is saved once no key follows
+   * for a moment. Escape cancels the edit.
    * @param {KeyboardEvent} event
    * @returns {void}
    */
@@ -802,6 +7223,12 @@
     event.preventDefault();
     const targetData = allHotkeys[targetHotkey];
 
+    if (event.type === "keydown" && event.key === "Escape") {
+      capturedCombos = [];
+      stopCapturingHotkey();
+      return;
+    }
+
     const { key, ctrlKey, shiftKey, altKey, metaKey } = event;
     const combo = [];
     if (ctrlKey) combo.push("ctrl");
@@ -813,17 +7240,27 @@
       const parsedKey = characterFromEvent(event);
       const sanitizedKey = parsedKey === "+" ? "plus" : parsedKey;
       combo.push(sanitizedKey);
+      capturedCombos.push(combo.join("+"));
+      targetData.displayElement.innerHTML = formatKey(capturedCombos.join(" "));
 
-      targetData.combo = combo.join("+");
-      syncHotkeyData(targetHotkey);
-      stopCapturingHotkey();
+      clearTimeout(stopTimeout);
+      if (capturedCombos.length === maxSequenceLength) {
+        finishCapturingHotkey();
+      } else {
+        stopTimeout = setTimeout(finishCapturingHotkey, sequenceTimeoutMS);
+      }
       return;
     }
 
     const partialShortcut = combo.length === 0 ? "" : `${combo.join("+")}+`;
-    targetData.displayElement.innerHTML = formatKey(partialShortcut);
+    targetData.displayElement.innerHTML = formatKey(
+      [...capturedCombos, partialShortcut].join(" ").trim()
+    );
     clearTimeout(stopTimeout);
-    stopTimeout = setTimeout(stopCapturingHotkey, editTimeoutAfter);
+    stopTimeout = setTimeout(
+      finishCapturingHotkey,
+      capturedCombos.length === 0 ? editTimeoutAfter : sequenceTimeoutMS
+    );
   }
 
   /**
@@ -832,6 +7269,8 @@
    */
   function startCapturingHotkey() {
     const targetData = allHotkeys[targetHotkey];
+    capturedCombos = [];
+    showHotkeyMessage("");
 
     document.addEventListener("keydown", handleKeyEvent);
     document.addEventListener("keyup", handleKeyEvent);
@@ -858,6 +7297,20 @@
     targetHotkey = null;
   }
 
+  /**
+   * Stop capturing a hotkey, and save the captured sequence if any keys were pressed.
+   * @returns {void}
+   */
+  function finishCapturingHotkey() {
+    const name = targetHotkey;
+    const combo = capturedCombos.join(" ");
+    capturedCombos = [];
+    stopCapturingHotkey();
+    if (combo !== "") {
+      changeHotkey(name, combo);
+    }
+  }
+
   /**
    * Create a container for a hotkey.
    * Creates the edit button for it, and a display element.
@@ -878,16 +7331,18 @@
       <div class="button-container">
         <button class="reset hotedit" id="${name}-edit">Edit</button>
         <button class="reset" id="${name}-clear">Clear</button>
+        <button class="reset" id="${name}-default">Reset to default</button>
       </div>
     </div>`;
 
     const editButton = check(rowContainer.querySelector(`#${name}-edit`));
     const clearButton = check(rowContainer.querySelector(`#${name}-clear`));
+    const defaultButton = check(rowContainer.querySelector(`#${name}-default`));
     const keyElement = check(rowContainer.querySelector(`#${name}-key`));
 
     editButton.addEventListener("click", () => {
       if (targetHotkey != null) {
-        stopCapturingHotkey();
+        finishCapturingHotkey();
       } else {
         targetHotkey = name;
         startCapturingHotkey();
@@ -900,8 +7355,15 @@
         targetHotkey = null;
       }
 
-      allHotkeys[name].combo = "";
-      syncHotkeyData(name);
+      changeHotkey(name, "");
+    });
+
+    defaultButton.addEventListener("click", () => {
+      if (targetHotkey != null) {
+        stopCapturingHotkey();
+      }
+
+      changeHotkey(name, defaultCombos[name]);
     });
 
     const hotkeyData = allHotkeys[name];
@@ -911,93 +7373,202 @@
     return rowContainer;
   }
 
+  /**
+   * Create a row to choose the action a hotkey uses for explored tracks.
+   * @param {"discovery" | "gentle"} name The name of the hotkey.
+   * @returns {HTMLElement}
+   */
+  function hotkeyActionRow(name) {
+    const row = createSelectRow(
+      `Action for explored tracks after "${allHotkeys[name].description}" with its hotkey`,
+      { "": "The one chosen above", ...actionLabels },
+      (action) => {
+        allHotkeys[name].actionOverride =
+          action === "" ? null : /** @type {ExploredAction} */ (action);
+        syncHotkeyActionData(name);
+      }
+    );
+    // The chosen action is shown once it's loaded from local storage.
+    allHotkeys[name].overrideElement = check(row.querySelector("select"));
+    return row;
+  }
+
   Object.entries(allHotkeys).forEach(([name, data]) => {
     const row = keyRow(data.description, name);
     keyboardDiv.appendChild(row);
+    const overridable = overridableHotkeys.find((hotkey) => hotkey === name);
+    if (overridable !== undefined) {
+      keyboardDiv.appendChild(hotkeyActionRow(overridable));
+    }
   });
   settingsContent.appendChild(keyboardDiv);
 
   // #endregion
 
-  const menuItem = new Spicetify.Menu.Item(
-    "Track Explorer",
-    false,
-    () => {
-      Spicetify.PopupModal.display({
-        title: "Track Explorer Settings",
-        content: settingsContent,
-      });
-    },
-    "search"
-  );
+  // #region Options Menu - Debugging
 
-  // #region Debugging
-  /* eslint-disable */
+  const debuggingHeader = document.createElement("h2");
+  debuggingHeader.innerText = "Debugging";
+  settingsContent.appendChild(debuggingHeader);
+
+  const traceRow = createButtonRow(
+    "Start",
+    "Record a trace of the player, which can be replayed with replayTrace.js.",
+    toggleTraceRecording
+  );
+  settingsContent.appendChild(traceRow);
 
   /**
-   * Used for debugging.
-   * Prints useful information about player state in an interval.
-   * @returns {Promise<void>}
-   * @todo Improve this, and ;properly handle null values.
+   * Start recording a trace, or stop and download the recorded trace.
+   * @returns {void}
    */
-  async function printPlayerStates() {
-    let previousTimestamp = null;
-    const previousPosition = null;
+  function toggleTraceRecording() {
+    const trace = stopTraceRecording();
+    if (trace === null) {
+      startTraceRecording();
+    } else {
+      const date = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+      downloadFile(JSON.stringify(trace), `player-trace-${date}.json`, "application/json");
+    }
+    check(traceRow.querySelector("button")).innerText =
+      activeTrace === null ? "Start" : "Stop and download";
+  }
 
-    while (1) {
-      const { data } = Spicetify.Player;
-      if (previousTimestamp !== null) {
-        const date = new Date(data.timestamp);
-        const minutes = date.getMinutes();
-        const seconds = date.getSeconds();
+  const logLevelRow = createSelectRow(
+    "Log to the console from",
+    Object.fromEntries(levelOrder.map((level) => [level, level])),
+    (level) => {
+      logSettings = { ...logSettings, level };
+      syncLoggingData();
+    }
+  );
+  const anonymiseRow = createToggleRow("Hide Spotify IDs in the diagnostics", (anonymise) => {
+    logSettings = { ...logSettings, anonymise };
+    syncLoggingData();
+  });
+  const diagnosticsRow = createButtonRow(
+    "Copy diagnostics",
+    "Copy the recent logs, versions and settings, to attach to a problem report.",
+    copyDiagnostics
+  );
+  settingsContent.appendChild(logLevelRow);
+  settingsContent.appendChild(anonymiseRow);
+  settingsContent.appendChild(diagnosticsRow);
 
-        const formattedTimestamp = `${minutes}:${seconds}`;
-        const position = data.position_as_of_timestamp / 1000;
-        const formattedPosition = `${Math.floor(position / 60)}:${Math.floor(position % 60)}`;
-        console.log(
-          `${data.timestamp}, ${data.position_as_of_timestamp}, ${formattedTimestamp}, ${formattedPosition}, ${data.is_paused}`
-        );
+  /**
+   * Replace every Spotify ID in a text with a placeholder, which is the same for the same ID.
+   * @param {string} text The text.
+   * @returns {string}
+   */
+  function anonymiseIDs(text) {
+    const placeholders = new Map();
+    return text.replace(/\b[a-zA-Z0-9]{22}\b/g, (id) => {
+      if (!placeholders.has(id)) {
+        placeholders.set(id, `id-${placeholders.size + 1}`);
       }
+      return check(placeholders.get(id));
+    });
+  }
 
-      previousTimestamp = data.timestamp;
-      await sleep(readIntervalMS);
-    }
+  /**
+   * Bundle what's useful for looking into a problem.
+   * Lists of artists, albums and contexts are only counted, since they can be personal.
+   * @returns {Object}
+   */
+  function createDiagnostics() {
+    const logs = logBuffer.map(({ time, level, message, stack }) => ({
+      time: new Date(time).toISOString(),
+      level,
+      message,
+      stack,
+    }));
+
+    return {
+      extensionVersion,
+      dataVersion,
+      spicetifyVersion: Spicetify.Config?.version ?? "unknown",
+      userAgent: navigator.userAgent,
+      createdAt: new Date().toISOString(),
+      settings: {
+        enabled: isEnabled,
+        gentle: isGentle,
+        snoozed: isSnoozed(),
+        criteria: exploredCriteria,
+        actions: exploredActions,
+        expiry: expirySettings,
+        matching: matchingSettings,
+        skipProtection,
+        queueFilter,
+        logging: logSettings,
+        contexts: {
+          mode: contextRules.mode,
+          radios: contextRules.radios,
+          included: contextRules.included.length,
+          excluded: contextRules.excluded.length,
+        },
+        collections: {
+          artistThreshold: collectionRules.artistThreshold,
+          albumThreshold: collectionRules.albumThreshold,
+          explored: collectionRules.explored.length,
+          blocked: collectionRules.blocked.length,
+        },
+        autoPlaylist: playlistSettings.auto,
+        remoteTarget: remoteState.target,
+        hotkeys: Object.fromEntries(
+          Object.entries(allHotkeys).map(([name, { combo }]) => [name, combo])
+        ),
+      },
+      sizes: {
+        storage: exploredStorage?.name ?? "none",
+        exploredTracks: exploredTracks.size,
+        unsavedTracks: changedTrackIDs.size,
+        recordings: recordings.size,
+        unsyncedTracks: remoteState.unsyncedIDs.length,
+        trackMetadata: trackMetadata.size,
+      },
+      logs,
+    };
+  }
+
+  /**
+   * Copy the diagnostics to the clipboard.
+   * Every ID in them is replaced with a placeholder when anonymising is on, wherever it is.
+   * @returns {Promise<void>}
+   */
+  async function copyDiagnostics() {
+    const json = JSON.stringify(createDiagnostics(), null, 2);
+    const data = logSettings.anonymise ? anonymiseIDs(json) : json;
+    await Spicetify.Platform.ClipboardAPI.copy(data);
+    Spicetify.showNotification("Copied diagnostics to clipboard.");
   }
 
   /**
-   * Used only for testing.
-   * @returns {Promise<*>}
+   * Update the logging inputs to show the current logging settings.
+   * @returns {void}
    */
-  async function demo() {
-    exploredTracks = [];
-    await syncExploredData();
+  function syncLoggingInputs() {
+    check(logLevelRow.querySelector("select")).value = logSettings.level;
+    setToggleRow(anonymiseRow, logSettings.anonymise);
+  }
 
-    const predef = ["65FftemJ1DbbZ45DUfHJXE", "2yWAPCnRMbpbGqVHAZzqgJ", "49AY652l5Ubg7roDGHGVOY"];
-    predef.forEach((id) => markTrackAsExplored(id));
+  // #endregion
 
+  /**
+   * Open the settings modal.
+   * @returns {void}
+   */
+  function openSettings() {
     Spicetify.PopupModal.display({
       title: "Track Explorer Settings",
       content: settingsContent,
     });
-    // Spicetify.SVGIcons is an object containing svg paths for icons. Create a popupmodal to display all of them,
-    // a single path looks like <path d="M0 0h24v24H0z" fill="none"></path>
-    const container = document.createElement("div");
-    container.innerHTML =
-      "<style>.icon-container{display:flex;align-items:center;}.icon{margin-right:10px;}</style>";
-    Object.entries(Spicetify.SVGIcons).forEach(([name, path]) => {
-      container.innerHTML += `<div class="icon-container"><div class="icon">
-      <svg viewBox="0 0 16 16" width="50" height="50" fill="currentColor">${path}</svg>
-      </div><div class="icon-name">${name}</div></div>`;
-      // container.innerHTML += `${name}<svg viewBox="0 0 24 24" width="24" height="24" fill="currentColor">${path}</svg><br>`;
-    });
-    // Spicetify.PopupModal.display({
-    //   title: "SVG Icons",
-    //   content: container,
-    // });
   }
 
-  /* eslint-enable */
-  // #endregion
+  const menuItem = new Spicetify.Menu.SubMenu("Track Explorer", [
+    new Spicetify.Menu.Item("Settings", false, openSettings, "search"),
+    new Spicetify.Menu.Item("Explored tracks", false, toggleBrowserPanel, "library"),
+    new Spicetify.Menu.Item("Statistics", false, openStatistics, "chart-up"),
+  ]);
 
   /**
    * Initializes the config, loads the UI, and handles player states.
@@ -1005,9 +7576,35 @@
    */
   async function main() {
     await initializeLocalData();
+    // The history isn't saved, so it starts out empty.
+    syncHistoryInputs();
     barButton.register();
+    // Right-clicking the playbar button picks the profile.
+    barButton.element?.addEventListener("contextmenu", (event) => {
+      event.preventDefault();
+      openProfilePicker();
+    });
     menuItem.register();
-    await handleStates();
+    markMenuItem.register();
+    unmarkContainerMenuItem.register();
+    listMenuItems.forEach((item) => item.register());
+    // Pending changes would be lost when the client closes. They're written as soon as it's
+    // hidden, as writes started while it unloads may not finish.
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") {
+        flushExploredWrites();
+      }
+    });
+    window.addEventListener("pagehide", flushExploredWrites);
+    onExploredChange(() => {
+      recordingIndex = null;
+      resolveExploredRecordings();
+    });
+    startTracking();
+    startQueueFilter();
+    startBadges();
+    scheduleAutoPlaylist();
+    scheduleRemoteSync();
   }
 
   await main();
@@ -0,0 +1,360 @@
+/* eslint-env node */
+/* eslint-disable no-console */
+// Replays a player trace recorded by Track Explorer (Settings > Debugging) through the extension's
+// tracking logic, without Spotify. Spicetify is stubbed and time is simulated, so a trace of a
+// long session replays instantly and the same way every time.
+//
+// Usage: node explore-tracks/replayTrace.js <trace.json> [--verbose] [--json]
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const extensionPath = path.join(__dirname, "exploreTracks.js");
+const exploredKey = "explore:explored";
+const loggingKey = "explore:logging";
+// Long enough for the batched writes of the explored tracks after the last event.
+const settleAfterMS = 5 * 1000;
+
+/**
+ * Create a clock whose time only moves when it's advanced, with timers which run on it.
+ * @param {number} start The initial time (ms since epoch).
+ */
+function createClock(start) {
+  let now = start;
+  let lastID = 0;
+  const timers = new Map();
+
+  const addTimer = (callback, delay, interval) => {
+    lastID += 1;
+    timers.set(lastID, { at: now + Math.max(Number(delay) || 0, 0), callback, interval });
+    return lastID;
+  };
+
+  return {
+    now: () => now,
+    setTimeout: (callback, delay) => addTimer(callback, delay, null),
+    setInterval: (callback, delay) => addTimer(callback, delay, Math.max(Number(delay) || 0, 1)),
+    clearTimer: (id) => timers.delete(id),
+
+    /**
+     * Run the due timers in order, and move the time forward.
+     * @param {number} time The new time (ms since epoch).
+     * @param {() => Promise<void>} settle Waits for the work started by a timer.
+     * @returns {Promise<void>}
+     */
+    async advanceTo(time, settle) {
+      for (;;) {
+        let nextID = null;
+        timers.forEach((timer, id) => {
+          if (timer.at <= time && (nextID === null || timer.at < timers.get(nextID).at)) {
+            nextID = id;
+          }
+        });
+        if (nextID === null) {
+          break;
+        }
+
+        const timer = timers.get(nextID);
+        now = Math.max(now, timer.at);
+        if (timer.interval === null) {
+          timers.delete(nextID);
+        } else {
+          timer.at += timer.interval;
+        }
+        timer.callback();
+        await settle();
+      }
+      now = Math.max(now, time);
+    },
+  };
+}
+
+/**
+ * Create a Date class whose current time is the time of a clock.
+ * @param {ReturnType<createClock>} clock The clock.
+ * @returns {DateConstructor}
+ */
+function createSimulatedDate(clock) {
+  return class SimulatedDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) {
+        super(clock.now());
+      } else {
+        super(...args);
+      }
+    }
+
+    static now() {
+      return clock.now();
+    }
+  };
+}
+
+/**
+ * Create an object which accepts any use, standing in for the DOM and the UI parts of Spicetify.
+ * Properties which were assigned keep their values.
+ * @returns {*}
+ */
+function createStub() {
+  const values = new Map();
+  // The target has to be a function which can be constructed, so arrow functions won't do.
+  // eslint-disable-next-line prefer-arrow-callback
+  const stub = new Proxy(function stubFunction() {}, {
+    get(target, key) {
+      if (values.has(key)) {
+        return values.get(key);
+      }
+      if (key === Symbol.toPrimitive) {
+        return () => "";
+      }
+      if (key === Symbol.iterator) {
+        return [][Symbol.iterator];
+      }
+      // Stubs mustn't look like promises, or awaiting them would never finish.
+      if (key === "then" || typeof key === "symbol") {
+        return undefined;
+      }
+      const value = createStub();
+      values.set(key, value);
+      return value;
+    },
+    set(target, key, value) {
+      values.set(key, value);
+      return true;
+    },
+    apply: () => createStub(),
+    construct: () => createStub(),
+  });
+  return stub;
+}
+
+/**
+ * Parse a Spotify URI, like Spicetify.URI.fromString.
+ * @param {string} uri The URI, such as "spotify:track:<id>".
+ */
+function parseURI(uri) {
+  const parts = String(uri).split(":");
+  let type = parts[1] === "user" && parts.length > 3 ? parts[3] : parts[1];
+  // Playlists are only of the older type in the older URIs, which name their owner.
+  if (type === "playlist" && parts[1] !== "user") {
+    type = "playlist-v2";
+  }
+  return { type, id: parts[parts.length - 1], toURI: () => uri, toString: () => uri };
+}
+
+const URI = {
+  Type: {
+    ALBUM: "album",
+    ARTIST: "artist",
+    COLLECTION: "collection",
+    PLAYLIST: "playlist",
+    PLAYLIST_V2: "playlist-v2",
+    STATION: "station",
+    TRACK: "track",
+  },
+  fromString: parseURI,
+  from: (uri) => (String(uri).startsWith("spotify:") ? parseURI(uri) : null),
+  isTrack: (uri) => parseURI(uri).type === "track",
+  isStation: (uri) => parseURI(uri).type === "station",
+  isRadio: (uri) => parseURI(uri).type === "radio",
+};
+
+/**
+ * Describe the track of a player state for the report.
+ * @param {*} data The player data.
+ * @returns {string}
+ */
+function describeTrack(data) {
+  const metadata = data?.track?.metadata ?? {};
+  const name = [metadata.title, metadata.artist_name].filter(Boolean).join(" - ");
+  return name || data?.track?.uri || "nothing";
+}
+
+/**
+ * Get the text of a notification, which may be made of React elements.
+ * @param {*} message The message passed to Spicetify.showNotification.
+ * @returns {string}
+ */
+function describeMessage(message) {
+  if (message?.children !== undefined) {
+    return message.children.map(describeMessage).join(" ");
+  }
+  return String(message);
+}
+
+/**
+ * Replay a trace through the tracking logic of the extension.
+ * @param {*} trace The trace, as downloaded from the settings.
+ * @param {{ verbose?: boolean }} [options]
+ * @returns {Promise<{ duration: number, marked: Object[], actions: Object[] }>} What the
+ * extension did. Times are relative to the start of the trace.
+ */
+async function replayTrace(trace, { verbose = false } = {}) {
+  if (trace?.traceVersion !== 1 || !Array.isArray(trace.events) || trace.events.length === 0) {
+    throw new Error("Not a player trace recorded by Track Explorer.");
+  }
+
+  const startedAt = trace.events[0].time;
+  const clock = createClock(startedAt);
+  const settle = () =>
+    new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+  const actions = [];
+  const store = new Map(Object.entries(trace.settings).filter(([, value]) => value != null));
+  store.set(exploredKey, JSON.stringify(trace.explored));
+  store.set(loggingKey, JSON.stringify({ level: verbose ? "TRACE" : "ERROR", anonymise: false }));
+
+  const listeners = new Map();
+  const player = {
+    data: trace.events[0].data,
+    addEventListener: (type, callback) => {
+      listeners.set(type, [...(listeners.get(type) ?? []), callback]);
+    },
+    removeEventListener: (type, callback) => {
+      listeners.set(
+        type,
+        (listeners.get(type) ?? []).filter((listener) => listener !== callback)
+      );
+    },
+    getDuration: () => player.data?.duration ?? 0,
+    getProgress: () => 0,
+    isPlaying: () => player.data?.is_paused === false,
+    getVolume: () => 1,
+    setVolume: () => {},
+  };
+  const recordAction = (action) => {
+    actions.push({ time: clock.now() - startedAt, action, track: describeTrack(player.data) });
+  };
+  player.next = () => recordAction("skip");
+  player.back = () => recordAction("back");
+  player.pause = () => recordAction("pause");
+  player.seek = (position) => recordAction(`seek to ${Math.round(position / 1000)} s`);
+  player.playUri = async (uri) => recordAction(`play ${uri}`);
+
+  // Elements are only kept to describe the notifications they're shown in.
+  const React = createStub();
+  React.createElement = (type, props, ...children) => ({ type, props, children });
+
+  const offline = async () => {
+    throw new Error("Spotify isn't available while replaying.");
+  };
+  const Spicetify = {
+    ...Object.fromEntries(
+      ["Playbar", "Menu", "ContextMenu", "PopupModal", "Platform", "Keyboard", "SVGIcons"].map(
+        (name) => [name, createStub()]
+      )
+    ),
+    React,
+    ReactDOM: createStub(),
+    Mousetrap: createStub(),
+    Config: { version: "replay" },
+    Player: player,
+    URI,
+    Queue: { nextTracks: [], prevTracks: [] },
+    LocalStorage: {
+      get: (key) => store.get(key) ?? null,
+      set: (key, value) => store.set(key, value),
+      remove: (key) => store.delete(key),
+    },
+    CosmosAsync: { get: offline, post: offline, del: offline },
+    GraphQL: { Request: offline, Definitions: createStub() },
+    showNotification: (message) => recordAction(`notify "${describeMessage(message)}"`),
+    addToQueue: async () => recordAction("add to queue"),
+    removeFromQueue: async () => recordAction("remove from queue"),
+  };
+
+  const context = vm.createContext({
+    Spicetify,
+    Date: createSimulatedDate(clock),
+    setTimeout: clock.setTimeout,
+    setInterval: clock.setInterval,
+    clearTimeout: clock.clearTimer,
+    clearInterval: clock.clearTimer,
+    console: {
+      log: (...args) => verbose && console.log(`[${clock.now() - startedAt} ms]`, ...args),
+      error: (...args) => console.error(`[${clock.now() - startedAt} ms]`, ...args),
+    },
+    localStorage: { setItem: (key, value) => store.set(key, value) },
+    document: createStub(),
+    window: createStub(),
+    navigator: { platform: "" },
+    URL: createStub(),
+    Blob: createStub(),
+    MutationObserver: createStub(),
+    requestAnimationFrame: createStub(),
+  });
+
+  await vm.runInContext(fs.readFileSync(extensionPath, "utf8"), context, {
+    filename: extensionPath,
+  });
+  await settle();
+
+  for (let i = 1; i < trace.events.length; i += 1) {
+    const { time, type, data } = trace.events[i];
+    await clock.advanceTo(time, settle);
+    player.data = data;
+    (listeners.get(type) ?? []).forEach((listener) => listener());
+    await settle();
+  }
+  const endedAt = trace.events[trace.events.length - 1].time;
+  await clock.advanceTo(endedAt + settleAfterMS, settle);
+
+  const before = new Map(trace.explored.map((entry) => [entry.id, entry]));
+  const marked = JSON.parse(store.get(exploredKey) ?? "[]")
+    .filter((entry) => {
+      const previous = before.get(entry.id);
+      return previous === undefined || previous.lastExploredAt !== entry.lastExploredAt;
+    })
+    .map((entry) => ({
+      time: (entry.lastExploredAt ?? entry.exploredAt) - startedAt,
+      id: entry.id,
+    }));
+
+  return { duration: endedAt - startedAt, marked, actions };
+}
+
+/**
+ * Format a time relative to the start of the trace, such as "12:05.3".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const seconds = (ms / 1000) % 60;
+  return `${Math.floor(ms / 60000)}:${seconds.toFixed(1).padStart(4, "0")}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const tracePath = args.find((arg) => !arg.startsWith("--"));
+  if (tracePath === undefined) {
+    console.error("Usage: node replayTrace.js <trace.json> [--verbose] [--json]");
+    process.exitCode = 2;
+    return;
+  }
+
+  const trace = JSON.parse(fs.readFileSync(tracePath, "utf8"));
+  const report = await replayTrace(trace, { verbose: args.includes("--verbose") });
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`Replayed ${trace.events.length} event(s) over ${formatTime(report.duration)}.`);
+  console.log(`\nMarked as explored (${report.marked.length}):`);
+  report.marked.forEach(({ time, id }) => console.log(`  ${formatTime(time)}  ${id}`));
+  console.log(`\nActions (${report.actions.length}):`);
+  report.actions.forEach(({ time, action, track }) => {
+    console.log(`  ${formatTime(time)}  ${action} (${track})`);
+  });
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { replayTrace, createClock, createSimulatedDate, createStub, URI };
@@ -0,0 +1,128 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { loadExtension, settle, id, uri } = require("./harness");
+
+const frameMS = 16;
+
+/**
+ * Create a tracklist row, like the ones Spotify renders.
+ * @param {Document} document The document of the extension.
+ * @param {string} trackID The ID of the track in the row.
+ * @returns {HTMLElement}
+ */
+function createRow(document, trackID) {
+  const row = document.createElement("div");
+  row.className = "main-trackList-trackListRow";
+  row.innerHTML = `<div class="main-trackList-rowTitle">Title</div>
+    <a href="/track/${trackID}">Title</a>`;
+  return row;
+}
+
+/**
+ * Count the badges in an element.
+ * @param {Element} element The element.
+ * @returns {number}
+ */
+function countBadges(element) {
+  return element.querySelectorAll(".explore-badge").length;
+}
+
+/**
+ * Let the mutations be observed, and run the next frame.
+ * @param {Object} extension The loaded extension.
+ * @returns {Promise<void>}
+ */
+async function nextFrame(extension) {
+  await settle();
+  await extension.advance(frameMS);
+}
+
+/**
+ * Show the main view of Spotify, which the extension waits for.
+ * @param {Object} extension The loaded extension.
+ * @returns {Promise<HTMLElement>} The main view.
+ */
+async function showMainView(extension) {
+  const mainView = extension.document.createElement("main");
+  mainView.className = "Root__main-view";
+  // Spotify renders the main view after extensions start.
+  extension.document.body.appendChild(mainView);
+  await extension.advance(1000);
+  return mainView;
+}
+
+test("badges the rows of explored tracks as tracklists render", async () => {
+  const extension = await loadExtension({ explored: [id("a")] });
+  const mainView = await showMainView(extension);
+  const { document } = extension;
+
+  const list = document.createElement("div");
+  list.append(createRow(document, id("a")), createRow(document, id("b")));
+  mainView.appendChild(list);
+  await nextFrame(extension);
+
+  const [explored, unexplored] = list.children;
+  assert.strictEqual(countBadges(explored), 1);
+  assert.strictEqual(countBadges(unexplored), 0);
+});
+
+test("only watches the main view", async () => {
+  const extension = await loadExtension({ explored: [id("a")] });
+  await showMainView(extension);
+  const { document } = extension;
+
+  const elsewhere = createRow(document, id("a"));
+  document.body.appendChild(elsewhere);
+  await nextFrame(extension);
+
+  assert.strictEqual(countBadges(elsewhere), 0);
+});
+
+test("updates every row when tracks are marked and unmarked", async () => {
+  const extension = await loadExtension({ explored: [id("a")] });
+  const mainView = await showMainView(extension);
+  const { document } = extension;
+  const row = createRow(document, id("b"));
+  mainView.appendChild(row);
+  await nextFrame(extension);
+  assert.strictEqual(countBadges(row), 0);
+
+  await extension.clickContextMenuItem([uri("b")], "Mark as explored");
+  await nextFrame(extension);
+  assert.strictEqual(countBadges(row), 1);
+
+  await extension.clickContextMenuItem([uri("b")], "Mark as unexplored");
+  await nextFrame(extension);
+  assert.strictEqual(countBadges(row), 0);
+});
+
+test("checks rows again when Spotify reuses them for other tracks", async () => {
+  const extension = await loadExtension({ explored: [id("a"), id("c")] });
+  const mainView = await showMainView(extension);
+  const row = createRow(extension.document, id("a"));
+  mainView.appendChild(row);
+  await nextFrame(extension);
+  assert.strictEqual(countBadges(row), 1);
+
+  const link = row.querySelector("a");
+  link.setAttribute("href", `/track/${id("b")}`);
+  await nextFrame(extension);
+  assert.strictEqual(countBadges(row), 0);
+
+  link.setAttribute("href", `/track/${id("c")}`);
+  await nextFrame(extension);
+  assert.strictEqual(countBadges(row), 1);
+});
+
+test("finds the track of rows without a link in their labels", async () => {
+  const extension = await loadExtension({ explored: [id("a")] });
+  const mainView = await showMainView(extension);
+  const row = extension.document.createElement("div");
+  row.className = "main-trackList-trackListRow";
+  row.setAttribute("aria-labelledby", `listrow-title-track-${uri("a")}-0`);
+  row.innerHTML = `<div class="main-trackList-rowTitle">Title</div>`;
+  mainView.appendChild(row);
+  await nextFrame(extension);
+
+  assert.strictEqual(countBadges(row), 1);
+});
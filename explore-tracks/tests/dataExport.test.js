@@ -0,0 +1,122 @@
+const assert = require("assert");
+const { describe, test } = require("node:test");
+const { loadExtension } = require("./harness");
+
+// Settings which aren't the defaults, by their name in exports and local storage.
+const settings = {
+  collections: {
+    artistThreshold: 3,
+    albumThreshold: 0,
+    explored: [{ uri: "spotify:artist:1", name: "Artist" }],
+    blocked: [{ uri: "spotify:album:2", name: "Album" }],
+  },
+  expiry: { mode: "random", days: 30, maxDays: 90 },
+  contexts: {
+    mode: "exclude",
+    radios: true,
+    included: [],
+    excluded: [{ uri: "spotify:playlist:3", name: "Playlist" }],
+  },
+  skipProtection: { count: 5, seconds: 30, fallback: "radio" },
+  queueFilter: { context: true, queued: "moveToEnd" },
+};
+
+/**
+ * Read a setting saved by the extension.
+ * @param {Object} extension The loaded extension.
+ * @param {string} key The storage key, without the namespace.
+ * @returns {*}
+ */
+function readSetting(extension, key) {
+  return JSON.parse(extension.store.get(`explore:${key}`) ?? "null");
+}
+
+/**
+ * Import exported data through the clipboard, restoring its settings.
+ * @param {Object} extension The loaded extension.
+ * @param {string} exported The exported data.
+ * @returns {Promise<void>}
+ */
+async function importAll(extension, exported) {
+  // eslint-disable-next-line no-param-reassign
+  extension.clipboard = exported;
+  await extension.openSettings();
+  await extension.press("Import");
+  await extension.press("Merge all");
+}
+
+describe("exports of the active profile", () => {
+  Object.entries(settings).forEach(([name, value]) => {
+    test(`restore the ${name} setting`, async () => {
+      const exporter = await loadExtension({ settings: { [name]: value } });
+      await exporter.openSettings();
+      await exporter.press("Export");
+      assert.deepStrictEqual(JSON.parse(exporter.clipboard).settings[name], value);
+
+      const importer = await loadExtension();
+      await importAll(importer, exporter.clipboard);
+      assert.deepStrictEqual(readSetting(importer, name), value);
+    });
+  });
+
+  test("leave out invalid settings", async () => {
+    const importer = await loadExtension();
+    const before = readSetting(importer, "collections");
+    await importAll(
+      importer,
+      JSON.stringify({
+        dataVersion: 2,
+        settings: { collections: { artistThreshold: -1 } },
+        tracks: [],
+      })
+    );
+    assert.deepStrictEqual(readSetting(importer, "collections"), before);
+  });
+});
+
+describe("exports of every profile", () => {
+  const profiles = {
+    active: "default",
+    profiles: [
+      { id: "default", name: "Default" },
+      { id: "gym", name: "Gym" },
+    ],
+  };
+
+  Object.entries(settings).forEach(([name, value]) => {
+    test(`restore the ${name} setting of a profile which isn't in use`, async () => {
+      const exporter = await loadExtension({
+        storage: { [`explore:profile:gym:${name}`]: JSON.stringify(value) },
+        settings: { profiles },
+      });
+      await exporter.openSettings();
+      await exporter.press("Download all profiles");
+      const exported = exporter.downloads[0].contents;
+      const exportedGym = JSON.parse(exported).profiles.find((profile) => profile.name === "Gym");
+      assert.deepStrictEqual(exportedGym.settings[name], value);
+
+      // The Gym profile is created by the import, and stays unused.
+      const importer = await loadExtension();
+      await importAll(importer, exported);
+      const gym = readSetting(importer, "profiles").profiles.find(
+        (profile) => profile.name === "Gym"
+      );
+      assert.deepStrictEqual(readSetting(importer, `profile:${gym.id}:${name}`), value);
+    });
+  });
+});
+
+test("new profiles start with the settings in use, but no artists or albums", async () => {
+  const extension = await loadExtension({ settings: { collections: settings.collections } });
+  await extension.openSettings();
+  extension.enter("Create a profile", "Gym");
+  await extension.press("Create");
+
+  const gym = readSetting(extension, "profiles").profiles[1];
+  assert.deepStrictEqual(readSetting(extension, `profile:${gym.id}:collections`), {
+    ...settings.collections,
+    explored: [],
+    blocked: [],
+  });
+  assert.deepStrictEqual(readSetting(extension, "collections"), settings.collections);
+});
@@ -0,0 +1,44 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { loadExtension, id } = require("./harness");
+
+/**
+ * Log an error about an explored track, and copy the diagnostics.
+ * @param {Object} [logging] The logging settings.
+ * @returns {Promise<string>} The copied diagnostics.
+ */
+async function copyDiagnosticsWithID(logging = { level: "INFO", anonymise: true }) {
+  const extension = await loadExtension({
+    explored: [id("p")],
+    settings: { logging },
+    spicetify: {
+      GraphQL: {
+        Definitions: {},
+        Request: async (definition, { uris }) => {
+          throw new Error(`No details of ${uris.join(", ")}`);
+        },
+      },
+    },
+  });
+  await extension.openSettings();
+  // The details can't be fetched, the error names the track.
+  await extension.press("Download CSV");
+  await extension.press("Copy diagnostics");
+  return extension.clipboard;
+}
+
+test("replaces every ID in the diagnostics with a placeholder", async () => {
+  const diagnostics = await copyDiagnosticsWithID();
+
+  assert.ok(!diagnostics.includes(id("p")));
+  const { logs } = JSON.parse(diagnostics);
+  const error = logs.find(({ level }) => level === "ERROR");
+  assert.match(error.message, /spotify:track:id-1/);
+  assert.match(error.stack, /spotify:track:id-1/);
+});
+
+test("keeps the IDs when anonymising is off", async () => {
+  const diagnostics = await copyDiagnosticsWithID({ level: "INFO", anonymise: false });
+
+  assert.ok(diagnostics.includes(id("p")));
+});
@@ -0,0 +1,212 @@
+const assert = require("assert");
+const { describe, test } = require("node:test");
+const { loadExtension, plain, settle, id, uri } = require("./harness");
+
+/**
+ * Get the options which load the extension with one explored track, and an action for it.
+ * @param {string} action The action for explored tracks.
+ * @returns {Object}
+ */
+const withAction = (action) => ({
+  explored: [id("x")],
+  settings: { actions: { normal: action, gentle: "notify" } },
+});
+
+/**
+ * Start playing a track, with some tracks coming up after it.
+ * @param {Object} extension The loaded extension.
+ * @param {string} uid The UID of the track in the queue.
+ * @param {Array<[string, string, string]>} upcoming The URI, UID and provider of each track.
+ * @param {string} [context] The URI of the context it plays in.
+ * @returns {Promise<void>}
+ */
+async function play(extension, uid, upcoming, context = "spotify:playlist:1") {
+  const { Spicetify } = extension;
+  Spicetify.Queue.nextTracks = upcoming.map(([trackURI, trackUID, provider]) => ({
+    contextTrack: { uri: trackURI, uid: trackUID, metadata: {} },
+    provider,
+  }));
+  Spicetify.Player.data = {
+    track: { uri: uri("x"), uid, metadata: {} },
+    context_uri: context,
+    timestamp: extension.now(),
+    position_as_of_timestamp: 0,
+    is_paused: false,
+  };
+  Spicetify.Player.emit("songchange");
+  await settle();
+}
+
+test("removes the later plays of an explored track from the queue", async () => {
+  const extension = await loadExtension(withAction("remove"));
+
+  await play(extension, "1", [
+    [uri("a"), "2", "context"],
+    [uri("x"), "3", "queue"],
+    [uri("x"), "4", "context"],
+  ]);
+
+  assert.strictEqual(extension.calls.next, 1);
+  assert.deepStrictEqual(plain(extension.calls.removed), [
+    { uri: uri("x"), uid: "3" },
+    { uri: uri("x"), uid: "4" },
+  ]);
+});
+
+test("moves an explored track behind the last track of the context, once", async () => {
+  const extension = await loadExtension(withAction("move"));
+
+  await play(extension, "1", [
+    [uri("a"), "2", "queue"],
+    [uri("b"), "3", "context"],
+    [uri("c"), "4", "context"],
+    [uri("d"), "5", "autoplay"],
+  ]);
+  assert.deepStrictEqual(plain(extension.calls.inserted), [
+    { tracks: [{ uri: uri("x") }], position: { after: { uri: uri("c"), uid: "4" } } },
+  ]);
+
+  extension.Spicetify.Player.data = null;
+  extension.Spicetify.Player.emit("songchange");
+  await play(extension, "6", [[uri("d"), "5", "autoplay"]]);
+  assert.strictEqual(extension.calls.next, 2);
+  assert.strictEqual(extension.calls.inserted.length, 1);
+});
+
+test("only skips an explored track when the context has no tracks left", async () => {
+  const extension = await loadExtension(withAction("move"));
+
+  await play(extension, "1", [[uri("a"), "2", "queue"]]);
+
+  assert.strictEqual(extension.calls.next, 1);
+  assert.deepStrictEqual(extension.calls.inserted, []);
+});
+
+test("moves an explored track again in another context", async () => {
+  const extension = await loadExtension(withAction("move"));
+  const upcoming = [[uri("a"), "2", "context"]];
+
+  await play(extension, "1", upcoming);
+  extension.Spicetify.Player.data = null;
+  extension.Spicetify.Player.emit("songchange");
+  await play(extension, "3", upcoming, "spotify:album:2");
+  assert.strictEqual(extension.calls.inserted.length, 2);
+});
+
+test("moves an explored track next time when it couldn't be moved", async () => {
+  const extension = await loadExtension(withAction("move"));
+  const { PlayerAPI } = extension.Spicetify.Platform;
+  const { insertIntoQueue } = PlayerAPI;
+  PlayerAPI.insertIntoQueue = async () => {
+    throw new Error("Offline");
+  };
+
+  await play(extension, "1", [[uri("a"), "2", "context"]]);
+  assert.ok(extension.logs.some((line) => line.includes("Couldn't move the track")));
+
+  PlayerAPI.insertIntoQueue = insertIntoQueue;
+  extension.Spicetify.Player.data = null;
+  extension.Spicetify.Player.emit("songchange");
+  await play(extension, "3", [[uri("a"), "2", "context"]]);
+  assert.strictEqual(extension.calls.inserted.length, 1);
+});
+
+describe("the action of a hotkey", () => {
+  test("is used while discovery mode is on through it", async () => {
+    const { explored, settings } = withAction("skip");
+    const extension = await loadExtension({
+      explored,
+      settings: { ...settings, status: false, "hotkeys:discovery:action": "notify" },
+    });
+
+    await extension.pressHotkey("ctrl+d");
+    await play(extension, "1", []);
+    assert.strictEqual(extension.calls.next, 0);
+    assert.ok(extension.notifications.includes("This track has already been explored."));
+  });
+
+  test("is used in gentle mode instead of the gentle action, once it's chosen", async () => {
+    const extension = await loadExtension(withAction("skip"));
+    await extension.openSettings();
+    await extension.choose('after "Toggle gentle mode" with its hotkey', "remove");
+    assert.strictEqual(extension.store.get("explore:hotkeys:gentle:action"), '"remove"');
+
+    await extension.pressHotkey("ctrl+shift+d");
+    await play(extension, "1", [[uri("x"), "2", "context"]]);
+    assert.strictEqual(extension.calls.next, 1);
+    assert.deepStrictEqual(plain(extension.calls.removed), [{ uri: uri("x"), uid: "2" }]);
+  });
+});
+
+describe("when too many tracks are skipped in a row", () => {
+  const radioURI = "spotify:playlist:radio";
+  const seedURL =
+    "https://spclient.wg.spotify.com/inspiredby-mix/v2/seed_to_playlist/" +
+    `${uri("x")}?response-format=json`;
+
+  /**
+   * Load the extension, which starts a radio instead of skipping a second track in a row.
+   * @param {Object<string, *>} webAPI The responses of the Web API, by their URL.
+   * @returns {Promise<Object>} The loaded extension.
+   */
+  const loadWithRadioFallback = (webAPI) =>
+    loadExtension({
+      explored: [id("x")],
+      settings: {
+        actions: { normal: "skip", gentle: "notify" },
+        skipProtection: { count: 1, seconds: 30, fallback: "radio" },
+      },
+      webAPI,
+    });
+
+  /**
+   * Play the explored track twice in a row.
+   * @param {Object} extension The loaded extension.
+   * @returns {Promise<void>}
+   */
+  async function playTwice(extension) {
+    const { Player } = extension.Spicetify;
+    await play(extension, "1", []);
+    Player.data = null;
+    Player.emit("songchange");
+    await play(extension, "2", []);
+  }
+
+  test("start a radio of the track", async () => {
+    const extension = await loadWithRadioFallback({
+      [seedURL]: { mediaItems: [{ uri: radioURI }] },
+    });
+    await playTwice(extension);
+    assert.strictEqual(extension.calls.next, 1);
+    assert.deepStrictEqual(extension.calls.played, [radioURI]);
+
+    extension.Spicetify.Player.data = {
+      ...extension.Spicetify.Player.data,
+      track: { uri: uri("r"), uid: "3", metadata: {} },
+      context_uri: radioURI,
+    };
+    extension.Spicetify.Player.emit("songchange");
+    await extension.advance(5000);
+    assert.strictEqual(extension.calls.pause, 0);
+  });
+
+  test("pause when no radio is found", async () => {
+    const extension = await loadWithRadioFallback({});
+    await playTwice(extension);
+
+    assert.deepStrictEqual(extension.calls.played, []);
+    assert.strictEqual(extension.calls.pause, 1);
+  });
+
+  test("pause when the radio doesn't start playing", async () => {
+    const extension = await loadWithRadioFallback({
+      [seedURL]: { mediaItems: [{ uri: radioURI }] },
+    });
+    await playTwice(extension);
+    assert.strictEqual(extension.calls.pause, 0);
+
+    await extension.advance(5000);
+    assert.deepStrictEqual(extension.calls.played, [radioURI]);
+    assert.strictEqual(extension.calls.pause, 1);
+  });
+});
@@ -0,0 +1,25 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { loadExtension, settle, id, uri } = require("./harness");
+
+test("saves pending changes as soon as Spotify is hidden", async () => {
+  const extension = await loadExtension({ explored: [id("a")] });
+  const { window, document } = extension;
+  await extension.clickContextMenuItem([uri("b")], "Mark as explored");
+  assert.deepStrictEqual(extension.savedIDs(), [id("a")]);
+
+  Object.defineProperty(document, "visibilityState", { value: "hidden", configurable: true });
+  document.dispatchEvent(new window.Event("visibilitychange"));
+  await settle();
+  assert.deepStrictEqual(extension.savedIDs(), [id("a"), id("b")]);
+});
+
+test("saves pending changes when Spotify closes", async () => {
+  const extension = await loadExtension({ explored: [id("a")] });
+  const { window } = extension;
+  await extension.clickContextMenuItem([uri("b")], "Mark as explored");
+
+  window.dispatchEvent(new window.Event("pagehide"));
+  await settle();
+  assert.deepStrictEqual(extension.savedIDs(), [id("a"), id("b")]);
+});
@@ -0,0 +1,138 @@
+// A stand-in for the playlist endpoints of the Web API which the sync uses, keeping the
+// playlists of one account in memory. Pass `cosmos` as Spicetify.CosmosAsync.
+
+const apiURL = "https://api.spotify.com/v1";
+
+/**
+ * A playlist kept by the fake.
+ * @typedef {Object} FakePlaylist
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {{ id: string, addedAt: number }[]} tracks
+ */
+
+/**
+ * Create the playlists of a fake account.
+ * @param {() => number} now Gets the current time (ms since epoch), used for when tracks are added.
+ */
+function createFakePlaylists(now = Date.now) {
+  /** @type {FakePlaylist[]} */
+  const playlists = [];
+  const requests = [];
+  let lastID = 0;
+
+  const findPlaylist = (url) => {
+    const match = /\/playlists\/([^/]+)/.exec(url);
+    const playlist = playlists.find(({ id }) => id === match?.[1]);
+    if (playlist === undefined) {
+      const error = new Error("Not found");
+      error.status = 404;
+      throw error;
+    }
+    return playlist;
+  };
+  const idOf = (uri) => uri.split(":").pop();
+
+  /**
+   * Create a playlist.
+   * @param {string} name The name of the playlist.
+   * @param {{ id: string, addedAt: number }[]} tracks Its tracks.
+   * @param {string} description Its description.
+   * @returns {FakePlaylist}
+   */
+  const createPlaylist = (name, tracks, description) => {
+    lastID += 1;
+    const playlist = { id: `playlist${lastID}`, name, description, tracks };
+    playlists.push(playlist);
+    return playlist;
+  };
+
+  const cosmos = {
+    get: async (url) => {
+      requests.push(`GET ${url}`);
+      if (url.startsWith(`${apiURL}/me/playlists`)) {
+        return {
+          items: playlists.map(({ id, name, description }) => ({ id, name, description })),
+          next: null,
+        };
+      }
+      return {
+        items: findPlaylist(url).tracks.map(({ id, addedAt }) => ({
+          added_at: new Date(addedAt).toISOString(),
+          track: { id },
+        })),
+        next: null,
+      };
+    },
+    post: async (url, body) => {
+      requests.push(`POST ${url}`);
+      if (url === `${apiURL}/me/playlists`) {
+        const playlist = createPlaylist(body.name, [], body.description ?? "");
+        return { id: playlist.id, uri: `spotify:playlist:${playlist.id}` };
+      }
+      const playlist = findPlaylist(url);
+      body.uris.forEach((uri) => playlist.tracks.push({ id: idOf(uri), addedAt: now() }));
+      return {};
+    },
+    put: async (url, body) => {
+      requests.push(`PUT ${url}`);
+      findPlaylist(url).description = body.description;
+      return {};
+    },
+    del: async (url, body) => {
+      requests.push(`DELETE ${url}`);
+      const playlist = findPlaylist(url);
+      const removed = new Set(body.tracks.map(({ uri }) => idOf(uri)));
+      playlist.tracks = playlist.tracks.filter(({ id }) => !removed.has(id));
+      return {};
+    },
+  };
+
+  return {
+    cosmos,
+    playlists,
+    requests,
+    /**
+     * Create a playlist with tracks, like another computer or the user does.
+     * @param {string} name The name of the playlist.
+     * @param {Object<string, number>} tracks When each track was added (ms since epoch), by its ID.
+     * @param {string} [description] The description of the playlist.
+     * @returns {void}
+     */
+    create: (name, tracks, description = "") => {
+      createPlaylist(
+        name,
+        Object.entries(tracks).map(([id, addedAt]) => ({ id, addedAt })),
+        description
+      );
+    },
+    /**
+     * Get the IDs of the tracks in a playlist.
+     * @param {string} name The name of the playlist.
+     * @returns {string[] | null} null if there is no such playlist.
+     */
+    trackIDs: (name) =>
+      playlists.find((playlist) => playlist.name === name)?.tracks.map(({ id }) => id) ?? null,
+    /**
+     * Get the description of a playlist.
+     * @param {string} name The name of the playlist.
+     * @returns {string | null} null if there is no such playlist.
+     */
+    description: (name) =>
+      playlists.find((playlist) => playlist.name === name)?.description ?? null,
+    /**
+     * Delete a playlist, like unfollowing it in Spotify.
+     * @param {string} name The name of the playlist.
+     * @returns {void}
+     */
+    remove: (name) => {
+      playlists.splice(
+        playlists.findIndex((playlist) => playlist.name === name),
+        1
+      );
+    },
+  };
+}
+
+module.exports = { createFakePlaylists };
@@ -0,0 +1,493 @@
+// Loads Track Explorer into a jsdom window with a stubbed Spicetify and the React it ships with,
+// so that tests can use it like a user does: through its menus, context menu, settings and
+// storage. Timers and dates run on a simulated clock, like replays.
+/* eslint-disable max-classes-per-file -- Spicetify's classes are stood in for by classes. */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM } = require("jsdom");
+const { createClock, createSimulatedDate, createStub, URI } = require("../replayTrace");
+
+const extensionPath = path.join(__dirname, "..", "exploreTracks.js");
+// Spicetify provides React 17, which is loaded into the window of each extension.
+const reactPaths = [
+  require.resolve("react/umd/react.production.min.js"),
+  require.resolve("react-dom/umd/react-dom.production.min.js"),
+];
+// The explored tracks are written to storage a little after they change.
+const exploredWriteDelayMS = 1000;
+
+/**
+ * Get a track ID made of one character.
+ * @param {string} letter The character.
+ * @returns {string}
+ */
+const id = (letter) => letter.repeat(22);
+
+/**
+ * Get the URI of a track whose ID is made of one character.
+ * @param {string} letter The character.
+ * @returns {string}
+ */
+const uri = (letter) => `spotify:track:${id(letter)}`;
+
+/**
+ * Wait for the promises started so far to settle.
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise((resolve) => {
+    setImmediate(resolve);
+  });
+}
+
+/**
+ * Convert a value made in the extension's context to one made here, so that it can be compared
+ * with assert.deepStrictEqual.
+ * @param {*} value A value which can be converted to JSON.
+ * @returns {*}
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * The calls made by the extension to the player and the queue.
+ * @typedef {Object} PlayerCalls
+ * @property {number} next How many times it skipped.
+ * @property {number} pause How many times it paused.
+ * @property {string[]} played The URIs it played.
+ * @property {Object[]} added The tracks it added to the end of the queue.
+ * @property {Object[]} removed The tracks it removed from the queue.
+ * @property {Object[]} inserted The tracks it inserted into the queue, and where.
+ */
+
+/**
+ * Create a stubbed player, which doesn't play anything. What it's asked to do is recorded by
+ * loadExtension.
+ * @returns {Object}
+ */
+function createPlayer() {
+  const listeners = new Map();
+  return {
+    data: null,
+    addEventListener: (type, callback) => {
+      listeners.set(type, [...(listeners.get(type) ?? []), callback]);
+    },
+    removeEventListener: (type, callback) => {
+      listeners.set(
+        type,
+        (listeners.get(type) ?? []).filter((listener) => listener !== callback)
+      );
+    },
+    emit: (type) => (listeners.get(type) ?? []).forEach((listener) => listener()),
+    getDuration: () => 0,
+    getProgress: () => 0,
+    isPlaying: () => false,
+    getVolume: () => 1,
+    setVolume: () => {},
+    back: () => {},
+    seek: () => {},
+  };
+}
+
+/**
+ * Create a stand-in for the events of the player API.
+ * @returns {{ addListener: Function, emit: (type: string) => void }}
+ */
+function createPlayerEvents() {
+  const listeners = [];
+  return {
+    addListener: (type, callback) => listeners.push({ type, callback }),
+    emit: (type) =>
+      listeners.filter((listener) => listener.type === type).forEach(({ callback }) => callback()),
+  };
+}
+
+/**
+ * Load the extension with a stubbed Spicetify.
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.storage] The initial local storage.
+ * @param {Array<string | Object>} [options.explored] The explored tracks, as IDs or entries.
+ * @param {Object<string, *>} [options.settings] Settings of the default profile, by their name
+ * in local storage.
+ * @param {Object<string, *>} [options.webAPI] The responses of the Web API, by their URL.
+ * @param {boolean} [options.hasPlayerEvents] Whether the player API reports events, which it
+ * doesn't in older versions of Spotify.
+ * @param {Object} [options.spicetify] Parts of Spicetify to replace, such as CosmosAsync.
+ * @param {number} [options.now] The initial time of the clock (ms since epoch).
+ * @returns {Promise<Object>} The loaded extension, the stubs and the clock.
+ */
+async function loadExtension({
+  storage = {},
+  explored = null,
+  settings = {},
+  webAPI = {},
+  hasPlayerEvents = true,
+  spicetify = {},
+  now = Date.now(),
+} = {}) {
+  const { window } = new JSDOM("<!doctype html><body></body>");
+  const { document } = window;
+  const clock = createClock(now);
+  const store = new Map(Object.entries(storage));
+  if (explored !== null) {
+    store.set("explore:explored", JSON.stringify(explored));
+  }
+  Object.entries(settings).forEach(([name, value]) => {
+    store.set(`explore:${name}`, JSON.stringify(value));
+  });
+
+  const notifications = [];
+  const modals = [];
+  const logs = [];
+  const requests = [];
+  const downloads = [];
+  const menuItems = [];
+  const contextMenuItems = [];
+  const hotkeys = new Map();
+  /** @type {PlayerCalls} */
+  const calls = { next: 0, pause: 0, played: [], added: [], removed: [], inserted: [] };
+  const playerEvents = createPlayerEvents();
+  let openModal = null;
+  let clipboard = "";
+
+  const offline = async () => {
+    throw new Error("Spotify isn't available in tests.");
+  };
+
+  class MenuItem {
+    constructor(name, isEnabled, onClick, icon) {
+      Object.assign(this, { name, isEnabled, onClick, icon });
+    }
+
+    register() {
+      menuItems.push(this);
+    }
+  }
+
+  class SubMenu {
+    constructor(name, items) {
+      Object.assign(this, { name, items });
+    }
+
+    register() {
+      menuItems.push(...this.items);
+    }
+  }
+
+  class ContextMenuItem {
+    constructor(name, onClick, shouldAdd = () => true, icon = undefined) {
+      Object.assign(this, { name, onClick, shouldAdd, icon });
+    }
+
+    register() {
+      contextMenuItems.push(this);
+    }
+  }
+
+  const hideModal = () => {
+    openModal?.content?.remove?.();
+    openModal = null;
+  };
+
+  const Spicetify = {
+    ...Object.fromEntries(["Playbar", "Keyboard", "SVGIcons"].map((name) => [name, createStub()])),
+    Menu: { Item: MenuItem, SubMenu },
+    ContextMenu: { Item: ContextMenuItem },
+    Mousetrap: {
+      bind: (combo, callback) => hotkeys.set(combo, callback),
+      unbind: (combo) => hotkeys.delete(combo),
+    },
+    Platform: {
+      ClipboardAPI: {
+        copy: async (text) => {
+          clipboard = text;
+        },
+        paste: async () => clipboard,
+      },
+      PlayerAPI: {
+        ...(hasPlayerEvents ? { getEvents: () => playerEvents } : {}),
+        insertIntoQueue: async (tracks, position) => calls.inserted.push({ tracks, position }),
+      },
+    },
+    Config: { version: "test" },
+    Locale: { getLocale: () => "en" },
+    Player: {
+      ...createPlayer(),
+      next: () => {
+        calls.next += 1;
+      },
+      pause: () => {
+        calls.pause += 1;
+      },
+      playUri: async (playedURI) => {
+        calls.played.push(playedURI);
+      },
+    },
+    URI,
+    Queue: { nextTracks: [], prevTracks: [] },
+    LocalStorage: {
+      get: (key) => store.get(key) ?? null,
+      set: (key, value) => store.set(key, value),
+      remove: (key) => store.delete(key),
+    },
+    CosmosAsync: {
+      get: async (url) => {
+        requests.push(url);
+        if (webAPI[url] === undefined) {
+          throw new Error(`Unexpected request to ${url}.`);
+        }
+        return webAPI[url];
+      },
+      post: offline,
+      del: offline,
+    },
+    GraphQL: { Request: offline, Definitions: createStub() },
+    PopupModal: {
+      // Spotify shows one modal at a time, and removes its content from the page once it's hidden.
+      display: (modal) => {
+        hideModal();
+        openModal = modal;
+        modals.push(modal);
+        if (modal.content instanceof window.Node) {
+          document.body.appendChild(modal.content);
+        }
+      },
+      hide: hideModal,
+    },
+    showNotification: (message) => notifications.push(message),
+    addToQueue: async (tracks) => calls.added.push(...tracks),
+    removeFromQueue: async (tracks) => calls.removed.push(...tracks),
+    ...spicetify,
+  };
+
+  // Downloads are kept instead of being saved.
+  const blobs = new Map();
+  class Blob {
+    constructor(parts, { type = "" } = {}) {
+      Object.assign(this, { contents: parts.join(""), type });
+    }
+  }
+  window.HTMLAnchorElement.prototype.click = function download() {
+    downloads.push({ name: this.download, ...blobs.get(this.getAttribute("href")) });
+  };
+
+  const context = vm.createContext({
+    Spicetify,
+    window,
+    document,
+    navigator: window.navigator,
+    HTMLElement: window.HTMLElement,
+    MutationObserver: window.MutationObserver,
+    Date: createSimulatedDate(clock),
+    URL: {
+      createObjectURL: (blob) => {
+        const url = `blob:${blobs.size}`;
+        blobs.set(url, blob);
+        return url;
+      },
+      revokeObjectURL: () => {},
+    },
+    Blob,
+    localStorage: { setItem: (key, value) => store.set(key, value) },
+    requestAnimationFrame: (callback) => clock.setTimeout(callback, 16),
+    cancelAnimationFrame: clock.clearTimer,
+    setTimeout: clock.setTimeout,
+    setInterval: clock.setInterval,
+    clearTimeout: clock.clearTimer,
+    clearInterval: clock.clearTimer,
+    console: {
+      log: (...args) => logs.push(args.join(" ")),
+      error: (...args) => logs.push(args.join(" ")),
+    },
+  });
+  context.self = context;
+  reactPaths.forEach((reactPath) => {
+    vm.runInContext(fs.readFileSync(reactPath, "utf8"), context, { filename: reactPath });
+  });
+  Spicetify.React = context.React;
+  Spicetify.ReactDOM = context.ReactDOM;
+
+  await vm.runInContext(fs.readFileSync(extensionPath, "utf8"), context, {
+    filename: extensionPath,
+  });
+  await settle();
+
+  /**
+   * Move the clock forward, running the timers which are due.
+   * @param {number} ms How far to move it.
+   * @returns {Promise<void>}
+   */
+  const advance = (ms) => clock.advanceTo(clock.now() + ms, settle);
+
+  /**
+   * Find a row of the open modal by its description.
+   * @param {string} description A part of the description.
+   * @returns {HTMLElement}
+   */
+  const findRow = (description) => {
+    const row = [...(openModal?.content.querySelectorAll(".setting-row") ?? [])].find((element) =>
+      element.querySelector(".description")?.textContent.includes(description)
+    );
+    if (row === undefined) {
+      throw new Error(`There is no "${description}" row in the open modal.`);
+    }
+    return row;
+  };
+
+  return {
+    Spicetify,
+    store,
+    notifications,
+    modals,
+    logs,
+    requests,
+    downloads,
+    calls,
+    playerEvents,
+    window,
+    document,
+    now: clock.now,
+    advance,
+    findRow,
+
+    /** @returns {Object | null} The open modal. */
+    get modal() {
+      return openModal;
+    },
+    /** @returns {string} The text in the clipboard. */
+    get clipboard() {
+      return clipboard;
+    },
+    set clipboard(text) {
+      clipboard = text;
+    },
+
+    /**
+     * Press a hotkey bound by the extension.
+     * @param {string} combo The combo of the hotkey, such as "ctrl+d".
+     * @returns {Promise<void>}
+     */
+    async pressHotkey(combo) {
+      if (!hotkeys.has(combo)) {
+        throw new Error(`Nothing is bound to ${combo}.`);
+      }
+      hotkeys.get(combo)();
+      await settle();
+    },
+
+    /**
+     * Click an item of the extension's menu.
+     * @param {string} name The name of the item.
+     * @returns {Promise<void>}
+     */
+    async clickMenuItem(name) {
+      const item = menuItems.find((menuItem) => menuItem.name === name);
+      if (item === undefined) {
+        throw new Error(`There is no "${name}" menu item.`);
+      }
+      item.onClick(item);
+      await settle();
+    },
+
+    /**
+     * Open the settings modal.
+     * @returns {Promise<void>}
+     */
+    openSettings() {
+      return this.clickMenuItem("Settings");
+    },
+
+    /**
+     * Get the names of the context menu items shown for a selection.
+     * @param {string[]} uris The selected URIs.
+     * @returns {string[]}
+     */
+    contextMenu(uris) {
+      return contextMenuItems.filter((item) => item.shouldAdd(uris)).map((item) => item.name);
+    },
+
+    /**
+     * Click a context menu item shown for a selection.
+     * @param {string[]} uris The selected URIs.
+     * @param {string} name The name of the item.
+     * @returns {Promise<void>}
+     */
+    async clickContextMenuItem(uris, name) {
+      const item = contextMenuItems.find(
+        (menuItem) => menuItem.shouldAdd(uris) && menuItem.name === name
+      );
+      if (item === undefined) {
+        throw new Error(`There is no "${name}" context menu item for ${uris.join(", ")}.`);
+      }
+      await item.onClick(uris);
+      await settle();
+    },
+
+    /**
+     * Press a button of the open modal.
+     * @param {string} text The text of the button.
+     * @param {string} [description] A part of the description of its row, if several buttons
+     * have the text.
+     * @returns {Promise<void>}
+     */
+    async press(text, description = undefined) {
+      const within = description === undefined ? openModal?.content : findRow(description);
+      const button = [...(within?.querySelectorAll("button") ?? [])].find(
+        (element) => element.textContent.trim() === text
+      );
+      if (button === undefined) {
+        throw new Error(`There is no "${text}" button in the open modal.`);
+      }
+      button.click();
+      await settle();
+    },
+
+    /**
+     * Choose an option of a dropdown of the open modal.
+     * @param {string} description A part of the description of its row.
+     * @param {string} value The value of the option.
+     * @returns {Promise<void>}
+     */
+    async choose(description, value) {
+      const select = findRow(description).querySelector("select");
+      select.value = value;
+      select.dispatchEvent(new window.Event("change"));
+      await settle();
+    },
+
+    /**
+     * Type into a text input of the open modal.
+     * @param {string} description A part of the description of its row.
+     * @param {string} text The text.
+     * @returns {void}
+     */
+    enter(description, text) {
+      findRow(description).querySelector("input").value = text;
+    },
+
+    /**
+     * Get the IDs of the explored tracks saved in storage so far.
+     * @param {string} [key] The storage key of the tracks.
+     * @returns {string[]} The IDs, sorted.
+     */
+    savedIDs(key = "explore:explored") {
+      const saved = JSON.parse(store.get(key) ?? "[]");
+      return saved.map((entry) => (typeof entry === "string" ? entry : entry.id)).sort();
+    },
+
+    /**
+     * Get the IDs of the explored tracks saved in storage, once pending writes are done.
+     * @param {string} [key] The storage key of the tracks.
+     * @returns {Promise<string[]>} The IDs, sorted.
+     */
+    async exploredIDs(key = "explore:explored") {
+      await advance(exploredWriteDelayMS);
+      return this.savedIDs(key);
+    },
+  };
+}
+
+module.exports = { loadExtension, plain, settle, id, uri };
@@ -0,0 +1,68 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { loadExtension } = require("./harness");
+
+const replacedMessage = "Saved, but it replaces a shortcut of Spotify or another extension.";
+// A key which isn't completed by another one is saved after this long.
+const sequenceTimeoutMS = 1000;
+
+/**
+ * Change the "Toggle discovery mode" shortcut in the settings, by pressing a combo.
+ * @param {Object} extension The loaded extension.
+ * @param {string} combo The combo, such as "ctrl+shift+j".
+ * @returns {Promise<string>} The message shown about the change, empty if there is none.
+ */
+async function changeDiscoveryHotkey(extension, combo) {
+  const { window, document } = extension;
+  const parts = combo.split("+");
+  const key = parts.pop();
+
+  await extension.openSettings();
+  await extension.press("Edit", "Toggle discovery mode");
+  document.dispatchEvent(
+    new window.KeyboardEvent("keydown", {
+      key,
+      which: key.toUpperCase().charCodeAt(0),
+      ctrlKey: parts.includes("ctrl"),
+      shiftKey: parts.includes("shift"),
+      altKey: parts.includes("alt"),
+    })
+  );
+  await extension.advance(sequenceTimeoutMS);
+
+  const message = extension.modal.content.querySelector(".hotkey-message");
+  return message.hidden ? "" : message.textContent;
+}
+
+test("warns about replacing Spotify's own shortcuts", async () => {
+  const extension = await loadExtension();
+
+  assert.strictEqual(
+    await changeDiscoveryHotkey(extension, "ctrl+s"),
+    'Saved, but it replaces Spotify\'s "Shuffle" shortcut.'
+  );
+  assert.strictEqual(await changeDiscoveryHotkey(extension, "ctrl+shift+j"), "");
+});
+
+test("finds the shortcuts bound through Mousetrap", async () => {
+  const extension = await loadExtension();
+
+  // eslint-disable-next-line no-underscore-dangle
+  extension.Spicetify.Mousetrap._directMap = { "alt+shift+x:keydown": () => {} };
+  assert.strictEqual(await changeDiscoveryHotkey(extension, "shift+alt+x"), replacedMessage);
+  assert.strictEqual(await changeDiscoveryHotkey(extension, "alt+y"), "");
+});
+
+test("logs once when the bindings of Mousetrap aren't available", async () => {
+  const extension = await loadExtension({
+    settings: { logging: { level: "DEBUG", anonymise: true } },
+  });
+
+  assert.strictEqual(await changeDiscoveryHotkey(extension, "alt+y"), "");
+  assert.strictEqual(await changeDiscoveryHotkey(extension, "alt+z"), "");
+  const missing = extension.logs.filter((line) => line.includes("Mousetrap's bindings"));
+  assert.deepStrictEqual(missing, [
+    "[DEBUG] Mousetrap's bindings aren't available, only checking Spotify's shortcuts",
+  ]);
+  assert.ok(!extension.notifications.some((message) => message.includes("Mousetrap")));
+});
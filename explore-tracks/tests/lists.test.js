@@ -0,0 +1,49 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { loadExtension } = require("./harness");
+
+/**
+ * Read a setting saved by the extension.
+ * @param {Object} extension The loaded extension.
+ * @param {string} key The storage key, without the namespace.
+ * @returns {*}
+ */
+function readSetting(extension, key) {
+  return JSON.parse(extension.store.get(`explore:${key}`) ?? "null");
+}
+
+test("names the artists and albums added to a list", async () => {
+  const extension = await loadExtension({
+    webAPI: {
+      "https://api.spotify.com/v1/artists/1": { name: "Artist" },
+      "https://api.spotify.com/v1/albums/2": { name: "Album" },
+    },
+  });
+
+  await extension.clickContextMenuItem(["spotify:artist:1"], "Always treat as explored");
+  await extension.clickContextMenuItem(["spotify:album:2"], "Add to blocklist");
+
+  const { explored, blocked } = readSetting(extension, "collections");
+  assert.deepStrictEqual(explored, [{ uri: "spotify:artist:1", name: "Artist" }]);
+  assert.deepStrictEqual(blocked, [{ uri: "spotify:album:2", name: "Album" }]);
+});
+
+test("names the playlists added to a list, whatever their kind of URI", async () => {
+  const extension = await loadExtension({
+    webAPI: {
+      "https://api.spotify.com/v1/playlists/3": { name: "Playlist" },
+      "https://api.spotify.com/v1/playlists/4": { name: "Old playlist" },
+    },
+  });
+
+  await extension.clickContextMenuItem(["spotify:playlist:3"], "Exclude from discovery mode");
+  await extension.clickContextMenuItem(
+    ["spotify:user:me:playlist:4"],
+    "Exclude from discovery mode"
+  );
+
+  assert.deepStrictEqual(readSetting(extension, "contexts").excluded, [
+    { uri: "spotify:playlist:3", name: "Playlist" },
+    { uri: "spotify:user:me:playlist:4", name: "Old playlist" },
+  ]);
+});
@@ -0,0 +1,112 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { loadExtension, plain, settle, id, uri } = require("./harness");
+
+// The queue is filtered a little after it changes.
+const queueFilterDelayMS = 500;
+const withQueueFilter = {
+  explored: [id("x")],
+  settings: { queueFilter: { context: true, queued: "keep" } },
+};
+
+/**
+ * Let the queue be filtered once on startup while it's still empty, and then fill it.
+ * @param {Object} extension The loaded extension.
+ * @param {Array<[string, string]>} [tracks] The character of each track's ID, and its provider.
+ * @returns {Promise<void>}
+ */
+async function fillQueue(
+  extension,
+  tracks = [
+    ["a", "context"],
+    ["x", "context"],
+  ]
+) {
+  await extension.advance(queueFilterDelayMS);
+  // eslint-disable-next-line no-param-reassign
+  extension.Spicetify.Queue.nextTracks = tracks.map(([letter, provider], index) => ({
+    contextTrack: { uri: uri(letter), uid: String(index + 1) },
+    provider,
+  }));
+}
+
+/**
+ * Let the player API report a change to the queue, and let it be filtered.
+ * @param {Object} extension The loaded extension.
+ * @returns {Promise<void>}
+ */
+async function updateQueue(extension) {
+  extension.playerEvents.emit("queue_update");
+  await settle();
+  await extension.advance(queueFilterDelayMS);
+}
+
+test("filters the queue when the player API reports a change", async () => {
+  const extension = await loadExtension(withQueueFilter);
+  await fillQueue(extension);
+
+  await updateQueue(extension);
+
+  assert.deepStrictEqual(plain(extension.calls.removed), [{ uri: uri("x"), uid: "2" }]);
+});
+
+test("shows the count of the context in the settings instead of notifying", async () => {
+  const extension = await loadExtension(withQueueFilter);
+  await fillQueue(extension);
+
+  // The stubbed queue keeps the removed track, so it's removed on each pass.
+  await updateQueue(extension);
+  await updateQueue(extension);
+
+  assert.deepStrictEqual(extension.notifications, []);
+  await extension.openSettings();
+  assert.ok(extension.findRow("2 explored track(s) were removed"));
+});
+
+test("moves the explored tracks the user queued behind the unexplored ones", async () => {
+  const extension = await loadExtension({
+    explored: [id("x"), id("y")],
+    settings: { queueFilter: { context: false, queued: "moveToEnd" } },
+  });
+  await fillQueue(extension, [
+    ["x", "queue"],
+    ["a", "queue"],
+    ["y", "queue"],
+  ]);
+
+  await updateQueue(extension);
+  assert.deepStrictEqual(plain(extension.calls.removed), [{ uri: uri("x"), uid: "1" }]);
+  assert.deepStrictEqual(plain(extension.calls.added), [{ uri: uri("x") }]);
+
+  // Once only explored tracks are queued, they stay where they are.
+  await fillQueue(extension, [
+    ["y", "queue"],
+    ["x", "queue"],
+  ]);
+  await updateQueue(extension);
+  assert.strictEqual(extension.calls.removed.length, 1);
+  assert.strictEqual(extension.calls.added.length, 1);
+});
+
+test("turns the filter off when Spotify doesn't report queue changes", async () => {
+  const extension = await loadExtension({ ...withQueueFilter, hasPlayerEvents: false });
+  await fillQueue(extension);
+
+  extension.Spicetify.Player.emit("songchange");
+  await extension.advance(queueFilterDelayMS);
+
+  assert.deepStrictEqual(extension.calls.removed, []);
+  assert.ok(extension.logs.some((line) => line.startsWith("[WARNING] Spotify doesn't report")));
+
+  await extension.openSettings();
+  const queuedRow = extension.findRow("you queued yourself");
+  assert.strictEqual(queuedRow.querySelector("select").disabled, true);
+  const contextRow = extension.findRow("of the playlist or album");
+  assert.strictEqual(contextRow.querySelector("button").disabled, true);
+});
+
+test("only warns about missing queue changes when the filter is on", async () => {
+  const extension = await loadExtension({ hasPlayerEvents: false });
+
+  assert.ok(!extension.notifications.some((message) => message.includes("doesn't report")));
+});
@@ -0,0 +1,190 @@
+const assert = require("assert");
+const { describe, test } = require("node:test");
+const { createFakePlaylists } = require("./fakePlaylists");
+const { loadExtension, id, uri } = require("./harness");
+
+const syncPlaylistName = "Track Explorer Sync";
+const neverSynced = { target: "playlist", lastSyncedAt: 0, unsyncedIDs: [], removed: {} };
+const synced = { target: "playlist", lastSyncedAt: 1000, unsyncedIDs: [], removed: {} };
+
+/**
+ * Create an explored track entry.
+ * @param {string} letter The character of the track's ID.
+ * @param {number} exploredAt When it was explored (ms since epoch).
+ * @returns {Object}
+ */
+function trackEntry(letter, exploredAt) {
+  return { id: id(letter), exploredAt, lastHeardAt: exploredAt, listenTimeMS: 0, skipCount: 0 };
+}
+
+/**
+ * Load the extension as one computer of the account, syncing through the fake playlists.
+ * @param {ReturnType<createFakePlaylists>} fake The playlists of the account.
+ * @param {Array<string | Object>} explored The tracks explored on the computer.
+ * @param {Object} [remote] The sync state of the computer.
+ * @returns {Promise<Object>} The loaded extension, which has synced once on startup.
+ */
+function loadComputer(fake, explored, remote = neverSynced) {
+  return loadExtension({
+    explored,
+    settings: { remote },
+    spicetify: { CosmosAsync: fake.cosmos },
+  });
+}
+
+/**
+ * Sync a computer from its settings.
+ * @param {Object} computer The loaded extension.
+ * @returns {Promise<void>}
+ */
+async function syncNow(computer) {
+  await computer.openSettings();
+  await computer.press("Sync now");
+}
+
+describe("the first sync", () => {
+  test("shares every track both ways", async () => {
+    const fake = createFakePlaylists();
+    fake.create(syncPlaylistName, { [id("b")]: 10, [id("c")]: 20 });
+    const computer = await loadComputer(fake, [id("a"), id("b")]);
+
+    assert.deepStrictEqual(await computer.exploredIDs(), [id("a"), id("b"), id("c")]);
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("b"), id("c"), id("a")]);
+  });
+
+  test("uses when a track was added there as when it was explored", async () => {
+    const fake = createFakePlaylists();
+    fake.create(syncPlaylistName, { [id("c")]: 20 });
+    const computer = await loadComputer(fake, []);
+
+    await computer.exploredIDs();
+    const [entry] = JSON.parse(computer.store.get("explore:explored"));
+    assert.strictEqual(entry.exploredAt, 20);
+  });
+
+  test("creates the sync playlist, with the explored tracks", async () => {
+    const fake = createFakePlaylists();
+    await loadComputer(fake, [id("a"), id("b")]);
+
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("a"), id("b")]);
+  });
+});
+
+describe("later syncs", () => {
+  test("remove a track there which was unmarked here after it was added", async () => {
+    const fake = createFakePlaylists();
+    fake.create(syncPlaylistName, { [id("a")]: 10, [id("b")]: 40 });
+    const computer = await loadComputer(fake, [id("a")], { ...synced, removed: { [id("b")]: 50 } });
+
+    assert.deepStrictEqual(await computer.exploredIDs(), [id("a")]);
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("a")]);
+  });
+
+  test("keep a track which was added there after it was unmarked here", async () => {
+    const fake = createFakePlaylists();
+    fake.create(syncPlaylistName, { [id("a")]: 10, [id("b")]: 60 });
+    const computer = await loadComputer(fake, [id("a")], { ...synced, removed: { [id("b")]: 50 } });
+
+    assert.deepStrictEqual(await computer.exploredIDs(), [id("a"), id("b")]);
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("a"), id("b")]);
+  });
+
+  test("unmark tracks removed on another computer after they were explored here", async () => {
+    const fake = createFakePlaylists();
+    fake.create(syncPlaylistName, { [id("a")]: 10, [id("b")]: 40 });
+    const first = await loadComputer(fake, [id("a")], { ...synced, removed: { [id("b")]: 50 } });
+    await first.exploredIDs();
+    assert.match(fake.description(syncPlaylistName), new RegExp(`${id("b")}:${(50).toString(36)}`));
+
+    const second = await loadComputer(fake, [trackEntry("a", 10), trackEntry("b", 45)], {
+      ...synced,
+      unsyncedIDs: [id("b")],
+    });
+    assert.deepStrictEqual(await second.exploredIDs(), [id("a")]);
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("a")]);
+  });
+
+  test("keep tracks explored here after they were removed on another computer", async () => {
+    const fake = createFakePlaylists();
+    const removal = `${id("b")}:${(50).toString(36)}`;
+    fake.create(syncPlaylistName, { [id("a")]: 10 }, `Explored tracks. Removed: ${removal}`);
+    const computer = await loadComputer(fake, [trackEntry("a", 10), trackEntry("b", 60)], synced);
+
+    assert.deepStrictEqual(await computer.exploredIDs(), [id("a"), id("b")]);
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("a"), id("b")]);
+    assert.ok(!fake.description(syncPlaylistName).includes(removal));
+  });
+
+  test("unmark tracks removed there, unless they were explored here since", async () => {
+    const fake = createFakePlaylists();
+    fake.create(syncPlaylistName, { [id("a")]: 10 });
+    const computer = await loadComputer(fake, [id("a"), id("b"), id("c")], {
+      ...synced,
+      unsyncedIDs: [id("c")],
+    });
+
+    assert.deepStrictEqual(await computer.exploredIDs(), [id("a"), id("c")]);
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("a"), id("c")]);
+  });
+
+  test("unmark every synced track when the sync playlist was emptied", async () => {
+    const fake = createFakePlaylists();
+    fake.create(syncPlaylistName, {});
+    const computer = await loadComputer(fake, [id("a"), id("b")], synced);
+
+    assert.deepStrictEqual(await computer.exploredIDs(), []);
+  });
+
+  test("write every track to a new playlist when the sync playlist was deleted", async () => {
+    const fake = createFakePlaylists();
+    const computer = await loadComputer(fake, [id("a"), id("b")]);
+
+    fake.remove(syncPlaylistName);
+    await syncNow(computer);
+    assert.deepStrictEqual(await computer.exploredIDs(), [id("a"), id("b")]);
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("a"), id("b")]);
+  });
+
+  test("share marks and unmarks between computers", async () => {
+    const fake = createFakePlaylists();
+    const first = await loadComputer(fake, [id("a"), id("b")]);
+    const second = await loadComputer(fake, [id("c")]);
+    assert.deepStrictEqual(await second.exploredIDs(), [id("a"), id("b"), id("c")]);
+
+    await syncNow(first);
+    assert.deepStrictEqual(await first.exploredIDs(), [id("a"), id("b"), id("c")]);
+
+    await second.clickContextMenuItem([uri("a")], "Mark as unexplored");
+    await syncNow(second);
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("b"), id("c")]);
+
+    await syncNow(first);
+    assert.deepStrictEqual(await first.exploredIDs(), [id("b"), id("c")]);
+    assert.strictEqual(fake.playlists.length, 1);
+  });
+});
+
+describe("syncs with profiles", () => {
+  test("sync each profile with its own playlist", async () => {
+    const fake = createFakePlaylists();
+    const computer = await loadComputer(fake, [id("a")]);
+    await computer.openSettings();
+    computer.enter("Create a profile", "Gym");
+    await computer.press("Create");
+    const gym = JSON.parse(computer.store.get("explore:profiles")).profiles[1];
+
+    await computer.clickContextMenuItem([uri("g")], "Mark as explored");
+    // Choosing where to sync to starts a sync.
+    await computer.choose("Share explored tracks", "playlist");
+    assert.deepStrictEqual(await computer.exploredIDs(`explore:profile:${gym.id}:explored`), [
+      id("g"),
+    ]);
+    assert.deepStrictEqual(fake.trackIDs(`${syncPlaylistName} (Gym)`), [id("g")]);
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("a")]);
+
+    await computer.choose("Profile in use", "default");
+    await computer.press("Sync now");
+    assert.deepStrictEqual(await computer.exploredIDs(), [id("a")]);
+    assert.deepStrictEqual(fake.trackIDs(syncPlaylistName), [id("a")]);
+  });
+});
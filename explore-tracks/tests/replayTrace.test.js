@@ -0,0 +1,27 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { replayTrace } = require("../replayTrace");
+
+// A short session: a new track is played past the criteria, an explored one comes up and is
+// skipped, and another new track is paused before it's explored.
+const trace = require("./fixtures/trace.json");
+
+test("replays a recorded trace through the tracking logic", async () => {
+  const report = await replayTrace(trace);
+
+  assert.strictEqual(report.duration, 50100);
+  assert.deepStrictEqual(report.marked, [{ time: 30000, id: "4uLU6hMCjMI75M1A2tKUQC" }]);
+  assert.deepStrictEqual(report.actions, [
+    {
+      time: 40000,
+      action: 'notify "Skipped Heard Before - An Artist. Undo"',
+      track: "Heard Before - An Artist",
+    },
+    { time: 40000, action: "skip", track: "Heard Before - An Artist" },
+  ]);
+});
+
+test("rejects files which aren't traces", async () => {
+  await assert.rejects(replayTrace({ events: [] }), /Not a player trace/);
+  await assert.rejects(replayTrace({ ...trace, traceVersion: 2 }), /Not a player trace/);
+});
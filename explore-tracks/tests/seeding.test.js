@@ -0,0 +1,170 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { loadExtension, id, uri } = require("./harness");
+
+const likedURL = "https://api.spotify.com/v1/me/tracks";
+const likedSongsRow = "Mark all of your Liked Songs as explored.";
+
+/**
+ * Create pages of the Web API, which link to each other.
+ * @param {Array<Array<string | null>>} pages The track IDs on each page, null for local files.
+ * @returns {Object<string, Object>} The pages by their URL.
+ */
+function createWebAPIPages(pages) {
+  const total = pages.flat().length;
+  const urls = pages.map((_, index) => (index === 0 ? `${likedURL}?limit=50` : `page-${index}`));
+  return Object.fromEntries(
+    pages.map((ids, index) => [
+      urls[index],
+      {
+        items: ids.map((trackID) => ({ track: { id: trackID } })),
+        total,
+        next: urls[index + 1] ?? null,
+      },
+    ])
+  );
+}
+
+test("fetches every page of Liked Songs, and reports the progress", async () => {
+  const extension = await loadExtension({
+    explored: [id("x")],
+    webAPI: createWebAPIPages([[id("a"), id("b")], [null, id("x")], [id("c")]]),
+  });
+
+  await extension.openSettings();
+  await extension.press("Seed", likedSongsRow);
+
+  assert.deepStrictEqual(extension.requests, [`${likedURL}?limit=50`, "page-1", "page-2"]);
+  assert.deepStrictEqual(extension.notifications, [
+    "Fetching tracks from Liked Songs...",
+    "Fetched 2 of 5 tracks from Liked Songs...",
+    "Fetched 3 of 5 tracks from Liked Songs...",
+    "Fetched 4 of 5 tracks from Liked Songs...",
+  ]);
+});
+
+test("shows how many tracks will be added, and merges them", async () => {
+  const extension = await loadExtension({
+    explored: [id("x")],
+    webAPI: createWebAPIPages([
+      [id("a"), id("b")],
+      [null, id("x"), id("a")],
+    ]),
+  });
+
+  await extension.openSettings();
+  await extension.press("Seed", likedSongsRow);
+
+  // jsdom doesn't lay out text, so the summary is read back from where it was set.
+  const summary = extension.modal.content.querySelector("p").innerText;
+  assert.strictEqual(
+    summary,
+    "2 new track(s) will be added, 1 track(s) are already present and 0 track(s) are invalid."
+  );
+  assert.deepStrictEqual(await extension.exploredIDs(), [id("x")]);
+
+  await extension.press("Merge");
+  assert.deepStrictEqual(await extension.exploredIDs(), [id("a"), id("b"), id("x")]);
+  assert.strictEqual(
+    extension.notifications[extension.notifications.length - 1],
+    "Merged 2 new track(s) with current data."
+  );
+});
+
+/**
+ * Get the names of the context menu items which mark or unmark a selection.
+ * @param {Object} extension The loaded extension.
+ * @param {string[]} uris The selected URIs.
+ * @returns {string[]}
+ */
+function markItemNames(extension, uris) {
+  return extension.contextMenu(uris).filter((name) => name.startsWith("Mark as"));
+}
+
+/**
+ * Create a stand-in for GraphQL which serves the tracks of an album, two at a time.
+ * @param {string[]} album The IDs of the album's tracks.
+ * @param {number[]} offsets Where the requested pages start, added to as they're requested.
+ * @returns {Object}
+ */
+function createAlbumGraphQL(album, offsets) {
+  return {
+    Definitions: { queryAlbumTrackUris: "queryAlbumTrackUris" },
+    Request: async (definition, { offset }) => {
+      offsets.push(offset);
+      const items = album
+        .slice(offset, offset + 2)
+        .map((trackID) => ({ track: { uri: `spotify:track:${trackID}` } }));
+      return { data: { albumUnion: { tracks: { items, totalCount: album.length } } } };
+    },
+  };
+}
+
+test("marks every track of a selected album, fetching every page through GraphQL", async () => {
+  const offsets = [];
+  const album = [id("a"), id("b"), id("c")];
+  const extension = await loadExtension({
+    spicetify: { GraphQL: createAlbumGraphQL(album, offsets) },
+  });
+
+  await extension.clickContextMenuItem(["spotify:album:1"], "Mark as explored");
+  assert.deepStrictEqual(offsets, [0, 2]);
+  assert.strictEqual(extension.modal, null);
+  assert.deepStrictEqual(extension.notifications, ["Marked 3 track(s) as explored."]);
+  assert.deepStrictEqual(await extension.exploredIDs(), album);
+
+  assert.deepStrictEqual(markItemNames(extension, ["spotify:album:1"]), ["Mark as unexplored"]);
+  await extension.clickContextMenuItem(["spotify:album:1"], "Mark as unexplored");
+  assert.deepStrictEqual(await extension.exploredIDs(), []);
+  assert.deepStrictEqual(markItemNames(extension, ["spotify:album:1"]), ["Mark as explored"]);
+});
+
+test("offers to unmark an album before its tracks are fetched", async () => {
+  const album = [id("a"), id("b")];
+  const extension = await loadExtension({
+    explored: album,
+    spicetify: { GraphQL: createAlbumGraphQL(album, []) },
+  });
+
+  assert.deepStrictEqual(markItemNames(extension, ["spotify:album:1"]), [
+    "Mark as explored",
+    "Mark as unexplored",
+  ]);
+  await extension.clickContextMenuItem(["spotify:album:1"], "Mark as unexplored");
+  assert.deepStrictEqual(await extension.exploredIDs(), []);
+  assert.deepStrictEqual(markItemNames(extension, ["spotify:album:1"]), ["Mark as explored"]);
+});
+
+test("names the mark item after whether the selected tracks are explored", async () => {
+  const extension = await loadExtension({ explored: [id("a")] });
+
+  assert.deepStrictEqual(markItemNames(extension, [uri("a")]), ["Mark as unexplored"]);
+  assert.deepStrictEqual(markItemNames(extension, [uri("b")]), ["Mark as explored"]);
+  assert.deepStrictEqual(markItemNames(extension, [uri("a"), uri("b")]), ["Mark as explored"]);
+});
+
+test("reports failures, and can seed again afterwards", async () => {
+  const webAPI = createWebAPIPages([[id("a")]]);
+  let failures = 1;
+  const extension = await loadExtension({
+    spicetify: {
+      CosmosAsync: {
+        get: async (url) => {
+          if (failures > 0) {
+            failures -= 1;
+            throw new Error("Offline");
+          }
+          return webAPI[url];
+        },
+      },
+    },
+  });
+  await extension.openSettings();
+
+  await extension.press("Seed", likedSongsRow);
+  assert.ok(extension.logs.some((line) => line.includes("Couldn't fetch tracks from Liked Songs")));
+  assert.strictEqual(extension.modal.title, "Track Explorer Settings");
+
+  await extension.press("Seed", likedSongsRow);
+  assert.strictEqual(extension.modal.title, "Import Explored Tracks");
+});
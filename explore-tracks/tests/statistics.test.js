@@ -0,0 +1,166 @@
+const assert = require("assert");
+const { before, test } = require("node:test");
+const { loadExtension, id, uri } = require("./harness");
+
+/**
+ * Get a moment in local time.
+ * @param {number} month The month, from 1.
+ * @param {number} day The day of the month.
+ * @param {number} [hours]
+ * @param {number} [minutes]
+ * @returns {number} (ms since epoch)
+ */
+function at(month, day, hours = 0, minutes = 0) {
+  return new Date(2026, month - 1, day, hours, minutes).getTime();
+}
+
+/**
+ * Create an explored track entry.
+ * @param {string} letter The character of the track's ID.
+ * @param {number} exploredAt When it was explored (ms since epoch).
+ * @param {Object} [fields] Other fields of the entry.
+ * @returns {Object}
+ */
+function entry(letter, exploredAt, fields = {}) {
+  return { id: id(letter), exploredAt, lastHeardAt: exploredAt, listenTimeMS: 0, ...fields };
+}
+
+const artist = (letter) => `spotify:artist:${letter}`;
+const now = at(10, 14, 12); // A Wednesday.
+const explored = [
+  entry("a", at(10, 14, 9), { skipCount: 2, skippedMS: 60000, artistURIs: [artist("x")] }),
+  entry("b", at(10, 13, 23, 59), { skipCount: 0, artistURIs: [artist("x"), artist("y")] }),
+  entry("c", at(10, 11, 10), { skipCount: 1, skippedMS: 30000, artistURIs: [artist("y")] }),
+  entry("d", at(9, 1, 10), { skipCount: 0 }),
+  entry("e", at(1, 1, 10), { skipCount: 0, artistURIs: [artist("z")] }),
+];
+// The names of the artists, served by the Web API.
+const webAPI = Object.fromEntries(
+  ["x", "y", "z"].map((letter) => [
+    `https://api.spotify.com/v1/artists/${letter}`,
+    { name: `Artist ${letter.toUpperCase()}` },
+  ])
+);
+
+/**
+ * Open the statistics of the loaded extension, and let them render.
+ * @param {Object} extension The loaded extension.
+ * @returns {Promise<HTMLElement>} The content of the statistics modal.
+ */
+async function openStatistics(extension) {
+  await extension.clickMenuItem("Statistics");
+  // React runs effects and renders updates in timers.
+  await extension.advance(0);
+  return extension.modal.content;
+}
+
+/**
+ * Read a bar chart of the statistics.
+ * @param {HTMLElement} content The content of the statistics modal.
+ * @param {number} index Which chart, 0 for the days and 1 for the weeks.
+ * @returns {{ label: string, count: number }[]} The bars, oldest first.
+ */
+function readBars(content, index) {
+  const rows = content.querySelectorAll(".bars")[index].querySelectorAll(".bar-row");
+  return [...rows].reverse().map((row) => ({
+    label: row.firstElementChild.textContent,
+    count: Number(row.lastElementChild.textContent),
+  }));
+}
+
+/**
+ * Read the totals of the statistics.
+ * @param {HTMLElement} content The content of the statistics modal.
+ * @returns {string[]} Each total, followed by its description.
+ */
+function readTotals(content) {
+  return [...content.querySelectorAll(".total")].map((total) =>
+    [...total.children].map((child) => child.textContent).join(" ")
+  );
+}
+
+let content = null;
+
+before(async () => {
+  const extension = await loadExtension({ explored, webAPI, now });
+  extension.Spicetify.Queue.nextTracks = ["a", "unknown", "c", "a"].map((letter) => ({
+    contextTrack: { uri: uri(letter) },
+  }));
+  content = await openStatistics(extension);
+});
+
+test("counts the tracks explored on each of the last 14 days", () => {
+  const days = readBars(content, 0);
+  assert.deepStrictEqual(
+    days.map(({ count }) => count),
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 1, 1]
+  );
+  assert.strictEqual(days[0].label, new Date(at(10, 1)).toLocaleDateString());
+  assert.strictEqual(days[13].label, new Date(at(10, 14)).toLocaleDateString());
+});
+
+test("counts the tracks explored in each of the last 8 weeks, starting on Mondays", () => {
+  const weeks = readBars(content, 1);
+  assert.deepStrictEqual(
+    weeks.map(({ count }) => count),
+    [0, 1, 0, 0, 0, 0, 1, 2]
+  );
+  assert.strictEqual(weeks[0].label, `From ${new Date(at(8, 24)).toLocaleDateString()}`);
+  assert.strictEqual(weeks[7].label, `From ${new Date(at(10, 12)).toLocaleDateString()}`);
+});
+
+test("adds up the auto-skips and the listening time they saved", () => {
+  const totals = readTotals(content);
+  assert.ok(totals.includes("3 auto-skips performed"));
+  assert.ok(totals.includes("2 min saved by skipping"));
+});
+
+test("ranks the artists by their explored tracks", () => {
+  const artists = [...content.querySelectorAll("li")].map((item) => item.textContent);
+  assert.deepStrictEqual(artists, [
+    "Artist X (2 track(s))",
+    "Artist Y (2 track(s))",
+    "Artist Z (1 track(s))",
+  ]);
+});
+
+test("counts the explored tracks in the upcoming queue", () => {
+  assert.ok(readTotals(content).includes("75% of the queue explored (3/4)"));
+});
+
+test("doesn't count the expired tracks in the queue as explored", async () => {
+  const extension = await loadExtension({
+    explored,
+    webAPI,
+    now,
+    settings: { expiry: { mode: "fixed", days: 30, maxDays: 60 } },
+  });
+  extension.Spicetify.Queue.nextTracks = ["a", "e"].map((letter) => ({
+    contextTrack: { uri: uri(letter) },
+  }));
+
+  const statistics = await openStatistics(extension);
+  assert.ok(readTotals(statistics).includes("50% of the queue explored (1/2)"));
+});
+
+test("handles no explored tracks and an empty queue", async () => {
+  const empty = await openStatistics(await loadExtension({ now }));
+  assert.ok(readBars(empty, 0).every(({ count }) => count === 0));
+  assert.deepStrictEqual(readTotals(empty), [
+    "0 tracks explored",
+    "0 auto-skips performed",
+    "0 min saved by skipping",
+    "0% of the queue explored (0/0)",
+  ]);
+  assert.strictEqual(empty.querySelectorAll("li").length, 0);
+});
+
+test("stops updating once the modal is hidden", async () => {
+  const extension = await loadExtension({ now });
+  const statistics = await openStatistics(extension);
+  assert.ok(statistics.childElementCount > 0);
+
+  extension.Spicetify.PopupModal.hide();
+  await extension.advance(0);
+  assert.strictEqual(statistics.childElementCount, 0);
+});